@@ -0,0 +1,41 @@
+// Downloads the tfjs hand models into public/models so the tfjs runtimes can
+// load them from the app's own origin. Usage: npm run fetch-models
+import { mkdir, writeFile } from 'node:fs/promises'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const TFHUB = 'https://tfhub.dev/mediapipe/tfjs-model/handpose_3d'
+const OUT_DIR = fileURLToPath(
+  new URL('../public/models/handpose_3d/', import.meta.url)
+)
+const PARTS = ['detector', 'landmark']
+const MODEL_TYPES = ['lite', 'full']
+
+async function download(url) {
+  const res = await fetch(url)
+  if (!res.ok) throw new Error(`GET ${url} failed: ${res.status}`)
+  return Buffer.from(await res.arrayBuffer())
+}
+
+async function save(path, data) {
+  await mkdir(dirname(path), { recursive: true })
+  await writeFile(path, data)
+}
+
+for (const part of PARTS) {
+  for (const modelType of MODEL_TYPES) {
+    const base = `${TFHUB}/${part}/${modelType}/1`
+    const dir = join(OUT_DIR, part, modelType)
+
+    const modelJson = await download(`${base}/model.json?tfjs-format=file`)
+    await save(join(dir, 'model.json'), modelJson)
+
+    const manifest = JSON.parse(modelJson.toString('utf8')).weightsManifest
+    for (const { paths } of manifest) {
+      for (const path of paths) {
+        await save(join(dir, path), await download(`${base}/${path}?tfjs-format=file`))
+      }
+    }
+    console.log(`saved ${part}/${modelType}`)
+  }
+}
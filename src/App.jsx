@@ -1,16 +1,123 @@
-﻿import { useEffect, useMemo, useState } from "react";
+﻿import { useEffect, useMemo, useRef, useState } from "react";
 import "./App.css";
 import CameraTracking from "./cameratracking";
+import BindingsPanel from "./BindingsPanel";
+import SettingsPanel from "./SettingsPanel";
+import StickersPanel from "./StickersPanel";
+import CaptureInfo from "./CaptureInfo";
+import PhotoEditor from "./PhotoEditor";
+import { isEditable } from "./photoEdits";
+import {
+  ACTIONS,
+  GALLERY_ACTIONS,
+  loadBindings,
+  saveBindings,
+} from "./bindings";
+import { createSessionRecorder, readSessionFile } from "./landmarkSession";
+import {
+  MAX_HANDS_LIMIT,
+  MODEL_TYPES,
+  RUNTIMES,
+  RUNTIME_LABELS,
+  loadDetectorConfig,
+  saveDetectorConfig,
+} from "./detectors";
+import { canRunInWorker } from "./workerDetector";
+import {
+  FACING_MODES,
+  FRAME_RATES,
+  RESOLUTION_PRESETS,
+  loadCameraConfig,
+  saveCameraConfig,
+} from "./cameraDevices";
+import { loadCalibration, saveCalibration } from "./calibration";
+import {
+  galleryQuotaFromSettings,
+  loadSettings,
+  saveSettings,
+  smoothingFromSettings,
+} from "./settings";
+import useGallery from "./useGallery";
+import { downloadBlob, extensionForType } from "./download";
+import { embedXmp, metadataSidecar } from "./captureMetadata";
+import { groupIntoStacks } from "./galleryStacks";
+import { isClipType } from "./clipRecorder";
+import { cycleFilter } from "./filters";
+import { loadStickers, saveStickers } from "./stickers";
+import { canAnnotate, renderAnnotatedCopy } from "./handOverlay";
+import {
+  buildGalleryZip,
+  captureBaseName,
+  captureFile,
+  zipFileName,
+} from "./galleryExport";
+import { canShareFiles, shareFiles } from "./share";
+
+// keys pressed in these belong to the field, not the gallery
+const FORM_FIELDS = "input, select, textarea, [contenteditable]";
+
+// edits replace a photo in place, so its file is rebuilt
+function shareKey(photo) {
+  return `${photo.id}:${photo.updatedAt ?? photo.createdAt}`;
+}
 
 export default function App() {
-  const [photos, setPhotos] = useState([]);
   const [galleryOpen, setGalleryOpen] = useState(false);
   const [activeIndex, setActiveIndex] = useState(0);
   const [videoRect, setVideoRect] = useState(null);
+  const [bindings, setBindings] = useState(loadBindings);
+  const [stickers, setStickers] = useState(loadStickers);
+  const [stickersSaved, setStickersSaved] = useState(true);
+  const [drawingMode, setDrawingMode] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [settings, setSettings] = useState(loadSettings);
+  const [recorder, setRecorder] = useState(null);
+  const [replaySession, setReplaySession] = useState(null);
+  const [replayError, setReplayError] = useState("");
+  const [detectorConfig, setDetectorConfig] = useState(loadDetectorConfig);
+  const [cameraConfig, setCameraConfig] = useState(loadCameraConfig);
+  // video inputs reported by the tracker, and the one in use
+  const [cameras, setCameras] = useState([]);
+  const [activeCameraId, setActiveCameraId] = useState(null);
+  const [calibration, setCalibration] = useState(loadCalibration);
+  const [calibrationRequest, setCalibrationRequest] = useState(0);
+  // bumping this remounts the tracker when switching between live and replay
+  const [trackerKey, setTrackerKey] = useState(0);
 
-  function addPhoto(dataUrl) {
-    setPhotos((prev) => [dataUrl, ...prev].slice(0, 50));
-    setActiveIndex(0);
+  // only these settings matter; the quota check scans the whole store
+  const { galleryLimit, storageQuotaMb, evictionPolicy } = settings;
+  const galleryQuota = useMemo(
+    () =>
+      galleryQuotaFromSettings({ galleryLimit, storageQuotaMb, evictionPolicy }),
+    [galleryLimit, storageQuotaMb, evictionPolicy]
+  );
+  const gallery = useGallery(galleryQuota);
+  const { photos } = gallery;
+  const [activeUrl, setActiveUrl] = useState(null);
+  const [infoOpen, setInfoOpen] = useState(false);
+  // photo id awaiting a gesture delete confirmation
+  const [deleteConfirmId, setDeleteConfirmId] = useState(null);
+  // "" | "Zipping..." while an export runs, or the last export error
+  const [exportStatus, setExportStatus] = useState("");
+  const [exporting, setExporting] = useState(false);
+  // strip selection mode; ids of selected items
+  const [selecting, setSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  // shareKey -> File for the selected items, see selectIds
+  const [shareCache, setShareCache] = useState(() => new Map());
+  const shareWantedRef = useRef(new Set());
+  const sharePendingRef = useRef(new Set());
+  const [bulkDeleteArmed, setBulkDeleteArmed] = useState(false);
+  // id of the photo open in the editor; navigating away leaves the editor
+  const [editingId, setEditingId] = useState(null);
+
+  async function addPhoto(blob, metadata, options) {
+    const item = await gallery.addPhoto(blob, {
+      metadata: metadata ?? null,
+      burstId: metadata?.burst?.id ?? null,
+      ...(options?.thumbnail && { thumbnail: options.thumbnail }),
+    });
+    if (item) setActiveIndex(0);
   }
 
   const latest = photos[0] ?? null;
@@ -19,13 +126,154 @@ export default function App() {
     if (!photos.length) return;
     setActiveIndex(index);
     setGalleryOpen(true);
+    stopSelecting();
   }
 
   function closeGallery() {
     setGalleryOpen(false);
   }
 
-  const activePhoto = useMemo(() => photos[activeIndex], [photos, activeIndex]);
+  const smoothing = useMemo(
+    () => smoothingFromSettings(settings),
+    [settings]
+  );
+
+  function updateSettings(next) {
+    setSettings(next);
+    saveSettings(next);
+  }
+
+  function updateBindings(next) {
+    setBindings(next);
+    saveBindings(next);
+  }
+
+  function updateStickers(next) {
+    setStickers(next);
+    setStickersSaved(saveStickers(next));
+  }
+
+  function updateDetectorConfig(patch) {
+    const next = { ...detectorConfig, ...patch };
+    setDetectorConfig(next);
+    saveDetectorConfig(next);
+    setTrackerKey((k) => k + 1);
+  }
+
+  // Applied live by the tracker, no remount needed.
+  function updateCameraConfig(patch) {
+    const next = { ...cameraConfig, ...patch };
+    setCameraConfig(next);
+    saveCameraConfig(next);
+  }
+
+  function updateCameras(list, activeId) {
+    setCameras(list);
+    setActiveCameraId(activeId);
+  }
+
+  function updateCalibration(profile) {
+    setCalibration(profile);
+    saveCalibration(profile);
+  }
+
+  function recalibrate() {
+    setSettingsOpen(false);
+    setCalibrationRequest((n) => n + 1);
+  }
+
+  function toggleLandmarkRecording() {
+    if (recorder) {
+      if (recorder.frameCount) recorder.download();
+      setRecorder(null);
+    } else {
+      setRecorder(createSessionRecorder());
+    }
+  }
+
+  async function loadReplayFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const session = await readSessionFile(file);
+      setReplayError("");
+      setRecorder(null);
+      setReplaySession(session);
+      setTrackerKey((k) => k + 1);
+    } catch (err) {
+      console.error(err);
+      setReplayError(err?.message ? String(err.message) : "Could not read file.");
+    }
+  }
+
+  function stopReplay() {
+    setReplaySession(null);
+    setTrackerKey((k) => k + 1);
+  }
+
+  function handleGestureAction(action) {
+    if (galleryOpen) {
+      handleGalleryGesture(action);
+      return;
+    }
+    switch (action) {
+      case ACTIONS.OPEN_GALLERY:
+        openGallery(0);
+        break;
+      case ACTIONS.TOGGLE_DRAWING:
+        setDrawingMode((on) => !on);
+        break;
+      case ACTIONS.NEXT_FILTER:
+      case ACTIONS.PREV_FILTER: {
+        const step = action === ACTIONS.NEXT_FILTER ? 1 : -1;
+        updateSettings({ ...settings, filter: cycleFilter(settings.filter, step) });
+        break;
+      }
+      default:
+        // every bindable action is handled here or by the tracker
+        console.warn("Unhandled gesture action:", action);
+        break;
+    }
+  }
+
+  const activePhoto = photos[activeIndex] ?? null;
+  const activeId = activePhoto?.id ?? null;
+  // changes when a photo is overwritten in place, so the modal reloads it
+  const activeVersion = activePhoto?.updatedAt ?? null;
+  const editing = galleryOpen && !!activePhoto && editingId === activePhoto.id;
+  // Leaving the photo (navigation, delete, closing the gallery) leaves the
+  // editor for good; reset during render so nothing acts on a stale id.
+  if (editingId !== null && !editing) setEditingId(null);
+  const stacks = useMemo(() => groupIntoStacks(photos), [photos]);
+  const activeStack = activePhoto?.burstId
+    ? stacks.find((s) => s.burstId === activePhoto.burstId)
+    : null;
+  const { getBlob } = gallery;
+
+  // Full-size image for the modal is loaded lazily from the store.
+  useEffect(() => {
+    if (!galleryOpen || !activeId) return;
+
+    let url = null;
+    let cancelled = false;
+    getBlob(activeId)
+      .then((blob) => {
+        if (cancelled || !blob) return;
+        url = URL.createObjectURL(blob);
+        setActiveUrl({ id: activeId, version: activeVersion, url });
+      })
+      .catch((e) => {
+        console.error("Loading the photo failed:", e);
+        if (!cancelled) setActiveUrl(null);
+      });
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [galleryOpen, activeId, activeVersion, getBlob]);
   const latestWrapStyle = useMemo(() => {
     if (!videoRect) return undefined;
 
@@ -46,11 +294,14 @@ export default function App() {
     };
   }, [videoRect]);
 
-  // Keyboard controls while gallery is open
+  // Keyboard controls while gallery is open. Not while editing: the editor's
+  // sliders and crop handles use the arrow keys, and leaving the photo would
+  // discard its unsaved edits.
   useEffect(() => {
-    if (!galleryOpen) return;
+    if (!galleryOpen || editing) return;
 
     function onKeyDown(e) {
+      if (e.target instanceof Element && e.target.matches(FORM_FIELDS)) return;
       if (e.key === "Escape") closeGallery();
       if (e.key === "ArrowRight") {
         setActiveIndex((i) => (i + 1) % photos.length);
@@ -62,42 +313,658 @@ export default function App() {
 
     window.addEventListener("keydown", onKeyDown);
     return () => window.removeEventListener("keydown", onKeyDown);
-  }, [galleryOpen, photos.length]);
-
-  function deleteActive() {
-    setPhotos((prev) => {
-      const next = prev.filter((_, idx) => idx !== activeIndex);
-      const newIndex = Math.max(0, Math.min(activeIndex, next.length - 1));
-      setActiveIndex(newIndex);
-      if (next.length === 0) setGalleryOpen(false);
-      return next;
+  }, [galleryOpen, editing, photos.length]);
+
+  async function deleteActive() {
+    if (!activePhoto) return;
+    const remaining = photos.length - 1;
+    await gallery.removePhotos(activePhoto.id);
+    setActiveIndex(Math.max(0, Math.min(activeIndex, remaining - 1)));
+    if (remaining === 0) setGalleryOpen(false);
+  }
+
+  // While a delete is awaiting confirmation, thumbs-up confirms and a fist
+  // cancels instead of downloading and closing. Ignored while editing, like
+  // the keyboard controls.
+  function handleGalleryGesture(action) {
+    if (editing) return;
+    const confirming = deleteConfirmId === activePhoto?.id;
+    switch (action) {
+      case GALLERY_ACTIONS.NEXT:
+        showNext();
+        break;
+      case GALLERY_ACTIONS.PREV:
+        showPrevious();
+        break;
+      case GALLERY_ACTIONS.CLOSE:
+        if (confirming) setDeleteConfirmId(null);
+        else closeGallery();
+        break;
+      case GALLERY_ACTIONS.DOWNLOAD:
+        if (confirming) confirmDelete();
+        else downloadActive();
+        break;
+      case GALLERY_ACTIONS.DELETE:
+        if (activePhoto) setDeleteConfirmId(activePhoto.id);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function showNext() {
+    setActiveIndex((i) => (i + 1) % photos.length);
+  }
+
+  function showPrevious() {
+    setActiveIndex((i) => (i - 1 + photos.length) % photos.length);
+  }
+
+  async function confirmDelete() {
+    setDeleteConfirmId(null);
+    await deleteActive();
+  }
+
+  // Edits are recorded in the metadata; a copy leaves the original's burst.
+  async function saveEdit(blob, edits, overwrite) {
+    const metadata = activePhoto.metadata;
+    if (overwrite) {
+      const item = await gallery.replacePhoto(activePhoto.id, blob, {
+        metadata: metadata && { ...metadata, edits },
+      });
+      if (item) setEditingId(null);
+      return;
+    }
+
+    const { burst: _burst, ...rest } = metadata ?? {};
+    const item = await gallery.addPhoto(blob, {
+      metadata: metadata && { ...rest, editedFrom: activePhoto.id, edits },
+      burstId: null,
     });
+    if (item) {
+      setEditingId(null);
+      setActiveIndex(0);
+    }
   }
 
-  function downloadActive() {
+  // Burst review: keep the shown frame and drop the rest of its stack.
+  async function keepActiveOnly() {
+    if (!activeStack) return;
+    const keptId = activePhoto.id;
+    const discard = activeStack.items
+      .map(({ photo }) => photo.id)
+      .filter((id) => id !== keptId);
+    if (!(await gallery.removePhotos(discard))) return;
+    const remaining = photos.filter((p) => !discard.includes(p.id));
+    setActiveIndex(Math.max(0, remaining.findIndex((p) => p.id === keptId)));
+  }
+
+  // Saves a new photo with the overlay drawn from the stored keypoints; the
+  // copy stays out of the original's burst stack.
+  async function annotateActive() {
+    if (!canAnnotate(activePhoto)) return;
+    try {
+      const blob = await getBlob(activePhoto.id);
+      if (!blob) return;
+      const copy = await renderAnnotatedCopy(blob, activePhoto.metadata, {
+        quality: settings.jpegQuality,
+      });
+      const { burst: _burst, ...metadata } = activePhoto.metadata;
+      const item = await gallery.addPhoto(copy, {
+        metadata: { ...metadata, annotatedFrom: activePhoto.id },
+        burstId: null,
+      });
+      if (item) setActiveIndex(0);
+      setExportStatus("");
+    } catch (e) {
+      console.error("Annotated copy failed:", e);
+      setExportStatus("Could not add the hand overlay.");
+    }
+  }
+
+  // Metadata goes into the JPEG as XMP; if it doesn't fit, a .json sidecar
+  // is downloaded next to the image instead.
+  async function downloadActive() {
     if (!activePhoto) return;
-    const a = document.createElement("a");
-    a.href = activePhoto;
-    a.download = `pinchcam-${Date.now()}.jpg`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
+    try {
+      const blob = await getBlob(activePhoto.id);
+      if (!blob) return;
+
+      const name = captureBaseName(activePhoto);
+      const { metadata } = activePhoto;
+      const embedded = metadata ? await embedXmp(blob, metadata) : null;
+      downloadBlob(embedded ?? blob, `${name}.${extensionForType(blob.type)}`);
+      if (metadata && !embedded) {
+        downloadBlob(metadataSidecar(metadata), `${name}.json`);
+      }
+      setExportStatus("");
+    } catch (e) {
+      console.error("Download failed:", e);
+      setExportStatus("Could not download this item.");
+    }
+  }
+
+  const selectedPhotos = photos.filter((p) => selectedIds.includes(p.id));
+
+  function stopSelecting() {
+    setSelecting(false);
+    selectIds([]);
+    setBulkDeleteArmed(false);
+  }
+
+  // Safari only allows navigator.share() within the tap's user activation, so
+  // each item's file (blob plus XMP) is built once, when it gets selected,
+  // and dropped when it is deselected.
+  function selectIds(ids) {
+    setSelectedIds(ids);
+    const items = photos.filter((p) => ids.includes(p.id));
+    const wanted = new Set(items.map(shareKey));
+    shareWantedRef.current = wanted;
+    setShareCache(
+      (prev) => new Map([...prev].filter(([key]) => wanted.has(key)))
+    );
+
+    const pending = sharePendingRef.current;
+    for (const photo of items) {
+      const key = shareKey(photo);
+      if (shareCache.has(key) || pending.has(key)) continue;
+      pending.add(key);
+      captureFile(photo, getBlob)
+        .then((file) => {
+          if (!file || !shareWantedRef.current.has(key)) return;
+          setShareCache((prev) => new Map(prev).set(key, file));
+        })
+        .catch((e) => console.error("Preparing a file to share failed:", e))
+        .finally(() => pending.delete(key));
+    }
+  }
+
+  // A stack is toggled as a whole.
+  function toggleSelected(ids) {
+    const allSelected = ids.every((id) => selectedIds.includes(id));
+    selectIds(
+      allSelected
+        ? selectedIds.filter((id) => !ids.includes(id))
+        : [...selectedIds, ...ids.filter((id) => !selectedIds.includes(id))]
+    );
+    setBulkDeleteArmed(false);
+  }
+
+  async function deleteSelected() {
+    if (!bulkDeleteArmed) {
+      setBulkDeleteArmed(true);
+      return;
+    }
+    const ids = selectedPhotos.map((p) => p.id);
+    if (!(await gallery.removePhotos(ids))) return;
+
+    const remaining = photos.filter((p) => !ids.includes(p.id));
+    stopSelecting();
+    if (!remaining.length) {
+      setGalleryOpen(false);
+      return;
+    }
+    const keptIndex = remaining.findIndex((p) => p.id === activePhoto?.id);
+    setActiveIndex(
+      keptIndex >= 0 ? keptIndex : Math.min(activeIndex, remaining.length - 1)
+    );
+  }
+
+  async function downloadSelected() {
+    if (selectedPhotos.length === 1) {
+      try {
+        const file = await captureFile(selectedPhotos[0], getBlob);
+        if (file) downloadBlob(file, file.name);
+        setExportStatus("");
+      } catch (e) {
+        console.error("Download failed:", e);
+        setExportStatus("Could not download the selected item.");
+      }
+      return;
+    }
+    await downloadZip(selectedPhotos);
+  }
+
+  // navigator.share() is called straight from the tap with the files built
+  // on selection. Anything not ready yet is built now, which can cost the tap
+  // its activation; like browsers that can't share, that downloads instead.
+  async function shareSelected() {
+    if (exporting || !selectedPhotos.length) return;
+    const cached = selectedPhotos.map((p) => shareCache.get(shareKey(p)));
+    let files = cached;
+    if (!cached.every(Boolean)) {
+      try {
+        files = (
+          await Promise.all(selectedPhotos.map((p) => captureFile(p, getBlob)))
+        ).filter(Boolean);
+      } catch (e) {
+        console.error("Preparing files to share failed:", e);
+        setExportStatus("Could not prepare the selected items.");
+        return;
+      }
+    }
+    if (!files.length) return;
+
+    if (!canShareFiles(files)) {
+      downloadInstead(files, "Sharing files isn't supported here, downloaded instead.");
+      return;
+    }
+    shareFiles(files, { title: "Hand-Tracking Camera" })
+      .then(() => setExportStatus(""))
+      .catch((e) => {
+        if (e?.name === "NotAllowedError") {
+          downloadInstead(files, "The browser blocked sharing, downloaded instead.");
+          return;
+        }
+        console.error("Share failed:", e);
+        setExportStatus("Could not share the selected items.");
+      });
+  }
+
+  async function downloadInstead(files, message) {
+    if (files.length === 1) {
+      downloadBlob(files[0], files[0].name);
+    } else if (!(await downloadZip(selectedPhotos))) {
+      return;
+    }
+    setExportStatus(message);
+  }
+
+  // Everything (or a subset such as one burst) as a ZIP with manifest.json.
+  // Resolves to true once the ZIP was handed to the browser.
+  async function downloadZip(items) {
+    if (!items.length || exporting) return false;
+    setExporting(true);
+    setExportStatus(`Zipping ${items.length} item${items.length > 1 ? "s" : ""}...`);
+    try {
+      const exportedAt = new Date();
+      const zip = await buildGalleryZip(items, getBlob, { exportedAt });
+      downloadBlob(zip, zipFileName(exportedAt));
+      setExportStatus("");
+      return true;
+    } catch (e) {
+      console.error("ZIP export failed:", e);
+      setExportStatus("Could not build the ZIP file.");
+      return false;
+    } finally {
+      setExporting(false);
+    }
   }
 
   return (
     <div className="page">
       <div className="cameraStage">
-        <CameraTracking onCapture={addPhoto} onVideoRectChange={setVideoRect} />
+        <CameraTracking
+          key={trackerKey}
+          onCapture={addPhoto}
+          onVideoRectChange={setVideoRect}
+          onAction={handleGestureAction}
+          bindings={bindings}
+          recorder={recorder}
+          replaySession={replaySession}
+          detectorConfig={detectorConfig}
+          cameraConfig={cameraConfig}
+          onCamerasChange={updateCameras}
+          gestureThresholds={calibration?.thresholds}
+          offerCalibration={!calibration}
+          calibrationRequest={calibrationRequest}
+          onCalibrationComplete={updateCalibration}
+          onCalibrationSkip={() => updateCalibration({ skipped: true })}
+          smoothing={smoothing}
+          gestureHoldMs={settings.gestureHoldMs}
+          cooldownMs={settings.cooldownMs}
+          countdownSeconds={settings.countdownSeconds}
+          burstCount={settings.burstCount}
+          burstIntervalMs={settings.burstIntervalMs}
+          boomerangSeconds={settings.boomerangSeconds}
+          boomerangFormat={settings.boomerangFormat}
+          inferenceFps={settings.inferenceFps}
+          adaptiveInference={settings.adaptiveInference}
+          adaptiveResolution={settings.adaptiveResolution}
+          showPerfHud={settings.showPerfHud}
+          jpegQuality={settings.jpegQuality}
+          mirror={settings.mirror}
+          filter={settings.filter}
+          stickers={stickers}
+          recordOverlay={settings.recordOverlay}
+          captureOverlay={settings.captureOverlay}
+          fullResolutionPhotos={settings.fullResolutionPhotos}
+          photoFlash={settings.photoFlash}
+          redEyeReduction={settings.redEyeReduction}
+          drawing={drawingMode}
+          galleryMode={galleryOpen}
+          maxClipSeconds={settings.maxClipSeconds}
+        />
+      </div>
+
+      <div className="topBar">
+        <button
+          className="iconBtn"
+          onClick={() => setSettingsOpen((open) => !open)}
+          aria-expanded={settingsOpen}
+          type="button"
+        >
+          Settings
+        </button>
+        <button
+          className="iconBtn"
+          onClick={() => setDrawingMode((on) => !on)}
+          aria-pressed={drawingMode}
+          title="Air drawing: pinch to lift/lower the pen, peace sign to change colour, hold an open palm to erase"
+          type="button"
+        >
+          Draw
+        </button>
       </div>
 
+      {settingsOpen && (
+        <div className="drawer" role="dialog" aria-label="Settings">
+          <div className="drawerTop">
+            <div className="drawerTitle">Settings</div>
+            <button
+              className="iconBtn"
+              onClick={() => setSettingsOpen(false)}
+              type="button"
+            >
+              Close
+            </button>
+          </div>
+          <SettingsPanel settings={settings} onChange={updateSettings} />
+          {gallery.overQuotaCount > 0 && (
+            <div className="drawerError" role="alert">
+              {gallery.overQuotaCount} of the oldest gallery items no longer
+              fit the new limit. Delete them now? Otherwise they are
+              replaced, oldest first, when new captures need the room.
+              <div className="bindingsActions">
+                <button
+                  className="iconBtn danger"
+                  onClick={gallery.trimToQuota}
+                  type="button"
+                >
+                  Delete {gallery.overQuotaCount}
+                </button>
+                <button
+                  className="iconBtn"
+                  onClick={gallery.keepOverQuota}
+                  type="button"
+                >
+                  Keep for now
+                </button>
+              </div>
+            </div>
+          )}
+          {!gallery.persistent && (
+            <div className="drawerError">
+              This browser can't store photos, so the gallery is cleared on
+              reload.
+            </div>
+          )}
+
+          <div className="drawerSection">
+            <div className="drawerTitle">Gesture bindings</div>
+            <div className="drawerHint">
+              Hold a gesture for {settings.gestureHoldMs} ms to run its action.
+            </div>
+            <BindingsPanel bindings={bindings} onChange={updateBindings} />
+          </div>
+
+          <div className="drawerSection">
+            <div className="drawerTitle">Stickers</div>
+            <div className="drawerHint">
+              Pinned to your hands in the preview and in every capture.
+            </div>
+            <StickersPanel stickers={stickers} onChange={updateStickers} />
+            {!stickersSaved && (
+              <div className="drawerError">
+                Stickers are too large to save and will reset on reload.
+              </div>
+            )}
+          </div>
+
+          <div className="drawerSection">
+            <div className="drawerTitle">Calibration</div>
+            <div className="drawerHint">
+              {!calibration?.thresholds
+                ? "Using default OK sign thresholds."
+                : calibration.createdAt
+                  ? `Using your calibrated OK sign (${new Date(
+                      calibration.createdAt
+                    ).toLocaleDateString()}).`
+                  : "Using your calibrated OK sign."}
+            </div>
+            <div className="bindingsActions">
+              <button className="iconBtn" onClick={recalibrate} type="button">
+                {calibration?.thresholds ? "Recalibrate" : "Calibrate"}
+              </button>
+              {calibration?.thresholds && (
+                <button
+                  className="iconBtn"
+                  onClick={() => updateCalibration({ skipped: true })}
+                  type="button"
+                >
+                  Use defaults
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="drawerSection">
+            <div className="drawerTitle">Camera</div>
+            <div className="drawerHint">
+              Rear cameras are never mirrored. The last chosen camera is used
+              next time.
+            </div>
+            <div className="fieldRow">
+              <label className="field">
+                <span>Device</span>
+                <select
+                  value={cameraConfig.deviceId ?? ""}
+                  onChange={(e) =>
+                    updateCameraConfig({ deviceId: e.target.value || null })
+                  }
+                  disabled={!!replaySession}
+                >
+                  <option value="">
+                    {cameraConfig.facingMode === FACING_MODES.BACK
+                      ? "Default (back)"
+                      : "Default (front)"}
+                  </option>
+                  {cameras.map((camera) => (
+                    <option key={camera.deviceId} value={camera.deviceId}>
+                      {camera.label}
+                      {camera.deviceId === activeCameraId ? " (in use)" : ""}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="field">
+                <span>Facing</span>
+                <select
+                  value={cameraConfig.facingMode}
+                  onChange={(e) =>
+                    // a chosen device would override the facing
+                    updateCameraConfig({
+                      facingMode: e.target.value,
+                      deviceId: null,
+                    })
+                  }
+                  disabled={!!replaySession}
+                >
+                  <option value={FACING_MODES.FRONT}>Front</option>
+                  <option value={FACING_MODES.BACK}>Back</option>
+                </select>
+              </label>
+              <label className="field">
+                <span>Resolution</span>
+                <select
+                  value={cameraConfig.resolution}
+                  onChange={(e) =>
+                    updateCameraConfig({ resolution: e.target.value })
+                  }
+                  disabled={!!replaySession}
+                >
+                  {RESOLUTION_PRESETS.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="field">
+                <span>Frame rate</span>
+                <select
+                  value={cameraConfig.frameRate}
+                  onChange={(e) =>
+                    updateCameraConfig({ frameRate: Number(e.target.value) })
+                  }
+                  disabled={!!replaySession}
+                >
+                  {FRAME_RATES.map((fps) => (
+                    <option key={fps} value={fps}>
+                      {fps ? `${fps} fps` : "Auto"}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </div>
+
+          <div className="drawerSection">
+            <div className="drawerTitle">Hand detector</div>
+            <div className="drawerHint">
+              Changing these restarts the camera. Unavailable runtimes fall
+              back automatically.
+            </div>
+            <div className="fieldRow">
+              <label className="field">
+                <span>Runtime</span>
+                <select
+                  value={detectorConfig.runtime}
+                  onChange={(e) =>
+                    updateDetectorConfig({ runtime: e.target.value })
+                  }
+                >
+                  {Object.entries(RUNTIME_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="field">
+                <span>Model</span>
+                <select
+                  value={detectorConfig.modelType}
+                  onChange={(e) =>
+                    updateDetectorConfig({ modelType: e.target.value })
+                  }
+                >
+                  <option value={MODEL_TYPES.LITE}>Lite (faster)</option>
+                  <option value={MODEL_TYPES.FULL}>Full (more accurate)</option>
+                </select>
+              </label>
+              <label className="field">
+                <span>Max hands</span>
+                <select
+                  value={detectorConfig.maxHands}
+                  onChange={(e) =>
+                    updateDetectorConfig({ maxHands: Number(e.target.value) })
+                  }
+                >
+                  {Array.from({ length: MAX_HANDS_LIMIT }, (_, i) => i + 1).map(
+                    (n) => (
+                      <option key={n} value={n}>
+                        {n}
+                      </option>
+                    )
+                  )}
+                </select>
+              </label>
+            </div>
+            <label className="checkField">
+              <input
+                type="checkbox"
+                checked={detectorConfig.useWorker}
+                onChange={(e) =>
+                  updateDetectorConfig({ useWorker: e.target.checked })
+                }
+              />
+              <span>Detect in a background worker (TensorFlow.js runtimes)</span>
+            </label>
+            {detectorConfig.useWorker &&
+              !canRunInWorker(detectorConfig.runtime) && (
+                <div className="drawerHint" role="status">
+                  {detectorConfig.runtime === RUNTIMES.MEDIAPIPE
+                    ? "The worker is inactive: MediaPipe detects on the main thread. Pick a TensorFlow.js runtime to use it."
+                    : "The worker is inactive: this browser can't run this runtime in a worker, so detection stays on the main thread."}
+                </div>
+              )}
+            <label className="checkField">
+              <input
+                type="checkbox"
+                checked={detectorConfig.allowRemoteModels}
+                onChange={(e) =>
+                  updateDetectorConfig({ allowRemoteModels: e.target.checked })
+                }
+              />
+              <span>Load models from TF Hub when they are missing here</span>
+            </label>
+          </div>
+
+          <div className="drawerSection">
+            <div className="drawerTitle">Landmark sessions</div>
+            <div className="drawerHint">
+              Record hand landmarks to a JSON file, or replay one in place of
+              the camera to reproduce gesture issues.
+            </div>
+            <div className="bindingsActions">
+              <button
+                className="iconBtn"
+                onClick={toggleLandmarkRecording}
+                disabled={!!replaySession}
+                type="button"
+              >
+                {recorder ? "Stop & save recording" : "Record landmarks"}
+              </button>
+              {replaySession ? (
+                <button className="iconBtn" onClick={stopReplay} type="button">
+                  Stop replay
+                </button>
+              ) : (
+                <label className="iconBtn">
+                  Replay file...
+                  <input
+                    className="fileInput"
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={loadReplayFile}
+                  />
+                </label>
+              )}
+            </div>
+            {replayError && <div className="drawerError">{replayError}</div>}
+          </div>
+        </div>
+      )}
+
       <div className="latestWrap" style={latestWrapStyle}>
+        {gallery.error && (
+          <button
+            className="galleryNotice"
+            onClick={gallery.clearError}
+            role="alert"
+            type="button"
+          >
+            {gallery.error}
+          </button>
+        )}
         {latest ? (
           <button
             className="latestBtn"
             onClick={() => openGallery(0)}
             title="Open gallery"
           >
-            <img src={latest} alt="latest" />
+            <img src={latest.thumbUrl} alt="latest" />
             <div className="latestMeta">
               <span>Gallery</span>
               <span className="count">{photos.length}</span>
@@ -120,9 +987,48 @@ export default function App() {
             <div className="modalTop">
               <div className="modalTitle">
                 {activeIndex + 1} / {photos.length}
+                {exportStatus && (
+                  <span className="exportStatus" role="status">
+                    {exportStatus}
+                  </span>
+                )}
               </div>
 
               <div className="modalActions">
+                <button
+                  className="iconBtn"
+                  onClick={() => (selecting ? stopSelecting() : setSelecting(true))}
+                  aria-pressed={selecting}
+                  title="Select several items"
+                >
+                  Select
+                </button>
+                <button
+                  className="iconBtn"
+                  onClick={() => setInfoOpen((open) => !open)}
+                  aria-pressed={infoOpen}
+                  title="Capture details"
+                >
+                  Info
+                </button>
+                {isEditable(activePhoto) && !editing && (
+                  <button
+                    className="iconBtn"
+                    onClick={() => setEditingId(activePhoto.id)}
+                    title="Crop, rotate and adjust"
+                  >
+                    Edit
+                  </button>
+                )}
+                {canAnnotate(activePhoto) && (
+                  <button
+                    className="iconBtn"
+                    onClick={annotateActive}
+                    title="Save a copy with the hand overlay"
+                  >
+                    Annotate
+                  </button>
+                )}
                 <button
                   className="iconBtn"
                   onClick={downloadActive}
@@ -130,6 +1036,37 @@ export default function App() {
                 >
                   Download
                 </button>
+                {activeStack?.items.length > 1 && (
+                  <button
+                    className="iconBtn"
+                    onClick={() =>
+                      downloadZip(activeStack.items.map(({ photo }) => photo))
+                    }
+                    disabled={exporting}
+                    title="Download this burst as a ZIP"
+                  >
+                    Download burst
+                  </button>
+                )}
+                {selectedPhotos.length ? (
+                  <button
+                    className="iconBtn"
+                    onClick={() => downloadZip(selectedPhotos)}
+                    disabled={exporting}
+                    title="Download the selected items as a ZIP"
+                  >
+                    Download selected
+                  </button>
+                ) : (
+                  <button
+                    className="iconBtn"
+                    onClick={() => downloadZip(photos)}
+                    disabled={exporting}
+                    title="Download the whole gallery as a ZIP"
+                  >
+                    Download all
+                  </button>
+                )}
                 <button className="iconBtn" onClick={deleteActive} title="Delete">
                   Delete
                 </button>
@@ -142,42 +1079,185 @@ export default function App() {
             <div className="modalBody">
               <button
                 className="navBtn"
-                onClick={() =>
-                  setActiveIndex((i) => (i - 1 + photos.length) % photos.length)
-                }
+                onClick={showPrevious}
                 aria-label="Previous"
               >
                 {"<"}
               </button>
 
               <div className="modalImageWrap">
-                <img className="modalImage" src={activePhoto} alt="active" />
+                {editing && (
+                  <PhotoEditor
+                    photo={activePhoto}
+                    getBlob={getBlob}
+                    jpegQuality={settings.jpegQuality}
+                    onSave={saveEdit}
+                    onCancel={() => setEditingId(null)}
+                  />
+                )}
+                {!editing &&
+                  activeUrl?.id === activePhoto.id &&
+                  activeUrl.version === activeVersion &&
+                  (isClipType(activePhoto.type) ? (
+                    <video
+                      className="modalImage"
+                      src={activeUrl.url}
+                      controls
+                      autoPlay
+                      loop
+                      playsInline
+                    />
+                  ) : (
+                    <img className="modalImage" src={activeUrl.url} alt="active" />
+                  ))}
+                {infoOpen && !editing && (
+                  <CaptureInfo metadata={activePhoto.metadata} />
+                )}
+                {deleteConfirmId === activePhoto.id && (
+                  <div className="deleteConfirm" role="alertdialog">
+                    <span>Delete this item? Thumbs-up to confirm, fist to keep.</span>
+                    <button className="iconBtn" onClick={confirmDelete}>
+                      Delete
+                    </button>
+                    <button
+                      className="iconBtn"
+                      onClick={() => setDeleteConfirmId(null)}
+                    >
+                      Keep
+                    </button>
+                  </div>
+                )}
+                {activeStack?.items.length > 1 && !editing && (
+                  <div className="burstBar">
+                    <div className="burstFrames">
+                      {activeStack.items.map(({ photo, index }) => (
+                        <button
+                          key={photo.id}
+                          className={
+                            "burstFrame " + (index === activeIndex ? "active" : "")
+                          }
+                          onClick={() => setActiveIndex(index)}
+                          title={`Shot ${index - activeStack.items[0].index + 1}`}
+                        >
+                          <img src={photo.thumbUrl} alt={`burst-${index}`} />
+                        </button>
+                      ))}
+                    </div>
+                    <button className="iconBtn" onClick={keepActiveOnly}>
+                      Keep this, discard {activeStack.items.length - 1}
+                    </button>
+                  </div>
+                )}
               </div>
 
               <button
                 className="navBtn"
-                onClick={() => setActiveIndex((i) => (i + 1) % photos.length)}
+                onClick={showNext}
                 aria-label="Next"
               >
                 {">"}
               </button>
             </div>
 
-            <div className="strip">
-              {photos.map((p, idx) => (
+            {selecting && (
+              <div className="selectionBar">
+                <span className="selectionCount">
+                  {selectedPhotos.length} selected
+                </span>
                 <button
-                  key={idx}
-                  className={"stripThumb " + (idx === activeIndex ? "active" : "")}
-                  onClick={() => setActiveIndex(idx)}
-                  title={`Photo ${idx + 1}`}
+                  className="iconBtn"
+                  onClick={() =>
+                    selectIds(
+                      selectedPhotos.length === photos.length
+                        ? []
+                        : photos.map((p) => p.id)
+                    )
+                  }
                 >
-                  <img src={p} alt={`strip-${idx}`} />
+                  {selectedPhotos.length === photos.length ? "Clear" : "Select all"}
                 </button>
-              ))}
+                <button
+                  className="iconBtn"
+                  onClick={downloadSelected}
+                  disabled={!selectedPhotos.length || exporting}
+                >
+                  Download
+                </button>
+                <button
+                  className="iconBtn"
+                  onClick={shareSelected}
+                  disabled={!selectedPhotos.length || exporting}
+                >
+                  Share
+                </button>
+                <button
+                  className={"iconBtn " + (bulkDeleteArmed ? "danger" : "")}
+                  onClick={deleteSelected}
+                  disabled={!selectedPhotos.length}
+                >
+                  {bulkDeleteArmed
+                    ? `Confirm delete ${selectedPhotos.length}`
+                    : "Delete"}
+                </button>
+              </div>
+            )}
+
+            <div className={"strip " + (selecting ? "selecting" : "")}>
+              {stacks.map(({ key, items }) => {
+                const { photo, index } = items[0];
+                const active = items.some((i) => i.index === activeIndex);
+                const ids = items.map((i) => i.photo.id);
+                const selected =
+                  selecting && ids.every((id) => selectedIds.includes(id));
+                return (
+                  <button
+                    key={key}
+                    className={
+                      "stripThumb " +
+                      (active ? "active " : "") +
+                      (selected ? "selected " : "") +
+                      (items.length > 1 ? "stacked" : "")
+                    }
+                    onClick={() =>
+                      selecting ? toggleSelected(ids) : setActiveIndex(index)
+                    }
+                    aria-pressed={selecting ? selected : undefined}
+                    title={
+                      items.length > 1
+                        ? `Burst of ${items.length}`
+                        : photo.metadata?.boomerang
+                          ? `Boomerang ${index + 1}`
+                          : isClipType(photo.type)
+                          ? `Clip ${index + 1}`
+                          : `Photo ${index + 1}`
+                    }
+                  >
+                    <img src={photo.thumbUrl} alt={`strip-${index}`} loading="lazy" />
+                    {items.length > 1 && (
+                      <span className="stackCount">{items.length}</span>
+                    )}
+                    {photo.metadata?.boomerang ? (
+                      <span className="clipBadge" aria-label="Boomerang">
+                        ↻
+                      </span>
+                    ) : (
+                      isClipType(photo.type) && (
+                        <span className="clipBadge" aria-label="Video clip">
+                          ▶
+                        </span>
+                      )
+                    )}
+                  </button>
+                );
+              })}
             </div>
 
             <div className="modalFoot">
-              <span>Tip: Use Left/Right arrows to navigate, Esc to close.</span>
+              <span>
+                Tip: Use Left/Right arrows to navigate, Esc to close. Hands-free:
+                swipe to browse, fist to close, thumbs-up to download, hold an
+                open palm to delete.
+              </span>
             </div>
           </div>
         </div>
@@ -0,0 +1,98 @@
+import { listGestures } from "./gestures";
+import { SWIPES } from "./swipe";
+import { ACTION_LABELS, DEFAULT_BINDINGS, HANDS } from "./bindings";
+
+function gestureLabel(name) {
+  return name.replace(/_/g, " ");
+}
+
+export default function BindingsPanel({ bindings, onChange }) {
+  const gestures = [...listGestures(), ...Object.values(SWIPES)];
+
+  function updateAt(index, patch) {
+    onChange(bindings.map((b, idx) => (idx === index ? { ...b, ...patch } : b)));
+  }
+
+  function removeAt(index) {
+    onChange(bindings.filter((_, idx) => idx !== index));
+  }
+
+  function addBinding() {
+    onChange([
+      ...bindings,
+      {
+        hand: HANDS.ANY,
+        gesture: gestures[0],
+        action: Object.keys(ACTION_LABELS)[0],
+      },
+    ]);
+  }
+
+  return (
+    <div className="bindings">
+      {bindings.length === 0 && (
+        <div className="bindingsEmpty">No gestures bound.</div>
+      )}
+
+      {bindings.map((b, idx) => (
+        <div className="bindingRow" key={idx}>
+          <select
+            value={b.hand}
+            onChange={(e) => updateAt(idx, { hand: e.target.value })}
+            aria-label="Hand"
+          >
+            <option value={HANDS.ANY}>Either hand</option>
+            <option value={HANDS.LEFT}>Left hand</option>
+            <option value={HANDS.RIGHT}>Right hand</option>
+          </select>
+
+          <select
+            value={b.gesture}
+            onChange={(e) => updateAt(idx, { gesture: e.target.value })}
+            aria-label="Gesture"
+          >
+            {gestures.map((g) => (
+              <option key={g} value={g}>
+                {gestureLabel(g)}
+              </option>
+            ))}
+          </select>
+
+          <select
+            value={b.action}
+            onChange={(e) => updateAt(idx, { action: e.target.value })}
+            aria-label="Action"
+          >
+            {Object.entries(ACTION_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+
+          <button
+            className="iconBtn"
+            onClick={() => removeAt(idx)}
+            title="Remove binding"
+            type="button"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+
+      <div className="bindingsActions">
+        <button className="iconBtn" onClick={addBinding} type="button">
+          Add binding
+        </button>
+        <button
+          className="iconBtn"
+          onClick={() => onChange(DEFAULT_BINDINGS)}
+          type="button"
+        >
+          Reset defaults
+        </button>
+      </div>
+    </div>
+  );
+}
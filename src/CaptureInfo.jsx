@@ -0,0 +1,129 @@
+import { ACTION_LABELS } from "./bindings";
+import { RUNTIME_LABELS } from "./detectors";
+import { getFilter } from "./filters";
+
+function formatPercent(value) {
+  return Number.isFinite(value) ? `${Math.round(value * 100)}%` : "";
+}
+
+function describeTrigger(trigger) {
+  if (!trigger) return "Unknown";
+  const hand = trigger.side ? `${trigger.side} hand, ` : "";
+  const confidence = formatPercent(trigger.confidence);
+  return `${hand}${trigger.gesture}${confidence ? ` (${confidence})` : ""}`;
+}
+
+function describeDetector(detector) {
+  if (!detector) return "Unknown";
+  if (detector.runtime === "replay") return "Landmark replay";
+  return [
+    RUNTIME_LABELS[detector.runtime] ?? detector.runtime,
+    detector.modelType,
+    detector.backend,
+    detector.inWorker && "worker",
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+// Size of the captured image and where it came from. Edits are applied to a
+// copy of that image afterwards, so their size is not recorded here.
+function describeResolution({ still, video, edits }) {
+  let text = "";
+  if (still) {
+    const cropped =
+      still.sensorWidth &&
+      (still.width !== still.sensorWidth || still.height !== still.sensorHeight);
+    text = cropped
+      ? `${still.width} x ${still.height} (still, cropped from ${still.sensorWidth} x ${still.sensorHeight})`
+      : `${still.width} x ${still.height} (full sensor still)`;
+  } else if (video) {
+    text = `${video.width} x ${video.height} (preview frame)`;
+  }
+  return text && edits ? `${text}, before edits` : text;
+}
+
+// Metadata panel for the gallery modal. Older captures have no metadata.
+export default function CaptureInfo({ metadata }) {
+  if (!metadata) {
+    return (
+      <div className="captureInfo">
+        <div className="drawerHint">No capture details for this photo.</div>
+      </div>
+    );
+  }
+
+  const {
+    trigger,
+    video,
+    device,
+    settings,
+    burst,
+    clip,
+    boomerang,
+    hands,
+    still,
+  } = metadata;
+  const handCount = hands?.length ?? trigger?.hands.length;
+  const rows = [
+    ["Captured", new Date(metadata.capturedAt).toLocaleString()],
+    ["Trigger", describeTrigger(trigger)],
+    ["Action", ACTION_LABELS[trigger?.action] ?? trigger?.action ?? ""],
+    ["Clip length", clip ? `${(clip.durationMs / 1000).toFixed(1)} s` : ""],
+    [
+      "Boomerang",
+      boomerang
+        ? `${boomerang.frameCount} frames at ${boomerang.fps} fps (${boomerang.format})`
+        : "",
+    ],
+    ["Burst", burst ? `shot ${burst.index + 1} of ${burst.count}` : ""],
+    ["Hands in view", handCount !== undefined ? String(handCount) : ""],
+    ["Resolution", describeResolution(metadata)],
+    [
+      "Flash",
+      still?.fillLightMode
+        ? `${still.fillLightMode}${still.redEyeReduction ? ", red-eye reduction" : ""}`
+        : "",
+    ],
+    ["Camera", device?.label ?? ""],
+    ["Detector", describeDetector(settings?.detector)],
+    [
+      "Timing",
+      settings
+        ? `hold ${settings.gestureHoldMs} ms, countdown ${settings.countdownSeconds} s`
+        : "",
+    ],
+    ["Filter", settings?.filter ? getFilter(settings.filter).label : ""],
+    ["Edited", metadata.edits ? (metadata.editedFrom ? "Edited copy" : "Yes") : ""],
+    [
+      "Hand overlay",
+      metadata.annotatedFrom
+        ? "Added to a copy"
+        : settings?.captureOverlay
+          ? "Included"
+          : "",
+    ],
+    ["JPEG quality", settings ? String(settings.jpegQuality) : ""],
+    ["Mirrored", video ? (video.mirrored ? "Yes" : "No") : ""],
+    ["Smoothing", settings ? (settings.smoothing?.enabled ? "On" : "Off") : ""],
+  ].filter(([, value]) => value);
+
+  return (
+    <div className="captureInfo">
+      <dl className="captureInfoList">
+        {rows.map(([label, value]) => (
+          <div className="captureInfoRow" key={label}>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </div>
+        ))}
+      </dl>
+      {trigger?.hands.length > 0 && (
+        <details className="captureInfoRaw">
+          <summary>Keypoints at trigger</summary>
+          <pre>{JSON.stringify(trigger.hands, null, 2)}</pre>
+        </details>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,296 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  ADJUSTMENTS,
+  ASPECT_PRESETS,
+  DEFAULT_EDITS,
+  aspectRatio,
+  fitCrop,
+  flipEdits,
+  isUnedited,
+  moveCrop,
+  orientedSize,
+  renderEdits,
+  resizeCrop,
+  rotateEdits,
+} from "./photoEdits";
+
+const PREVIEW_SIDE = 1024;
+
+// Edit view for one gallery photo. The preview shows the whole oriented
+// image with the crop box on top; saving renders at full resolution.
+export default function PhotoEditor({ photo, getBlob, jpegQuality, onSave, onCancel }) {
+  const canvasRef = useRef(null);
+  const wrapRef = useRef(null);
+  // { mode: "move" | "resize", x, y, crop } while the crop box is dragged
+  const dragRef = useRef(null);
+  // consecutive changes with the same key (one slider drag) share an undo step
+  const lastChangeRef = useRef(null);
+  const [bitmap, setBitmap] = useState(null);
+  const [edits, setEdits] = useState(DEFAULT_EDITS);
+  const [history, setHistory] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    let loaded = null;
+
+    getBlob(photo.id)
+      .then((blob) => (blob ? createImageBitmap(blob) : null))
+      .then((bmp) => {
+        if (!bmp) throw new Error("Photo is missing.");
+        if (cancelled) {
+          bmp.close?.();
+          return;
+        }
+        loaded = bmp;
+        setBitmap(bmp);
+      })
+      .catch((e) => {
+        console.error("Opening photo for editing failed:", e);
+        if (!cancelled) setError("Could not open this photo.");
+      });
+
+    return () => {
+      cancelled = true;
+      loaded?.close?.();
+    };
+  }, [photo.id, getBlob]);
+
+  // the crop box is drawn over the preview, so moving it doesn't re-render it
+  const { rotation, flipH, flipV, brightness, contrast, saturation } = edits;
+  const view = useMemo(
+    () => ({ rotation, flipH, flipV, brightness, contrast, saturation }),
+    [rotation, flipH, flipV, brightness, contrast, saturation]
+  );
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !bitmap) return;
+    const rendered = renderEdits(
+      bitmap,
+      { ...view, crop: DEFAULT_EDITS.crop },
+      { maxSide: PREVIEW_SIDE, cropped: false }
+    );
+    canvas.width = rendered.width;
+    canvas.height = rendered.height;
+    canvas.getContext("2d").drawImage(rendered, 0, 0);
+  }, [bitmap, view]);
+
+  const size = bitmap
+    ? orientedSize(bitmap.width, bitmap.height, edits.rotation)
+    : { width: 1, height: 1 };
+  const ratio = aspectRatio(edits.aspect, size.width, size.height);
+
+  function change(next, key = null) {
+    if (!key || key !== lastChangeRef.current) {
+      setHistory((h) => [...h, edits]);
+    }
+    lastChangeRef.current = key;
+    setEdits(next);
+  }
+
+  function undo() {
+    if (!history.length) return;
+    setEdits(history[history.length - 1]);
+    setHistory(history.slice(0, -1));
+    lastChangeRef.current = null;
+  }
+
+  function startDrag(e, mode) {
+    e.preventDefault();
+    e.stopPropagation();
+    wrapRef.current.setPointerCapture(e.pointerId);
+    dragRef.current = { mode, x: e.clientX, y: e.clientY, crop: edits.crop };
+    setHistory((h) => [...h, edits]);
+    lastChangeRef.current = null;
+  }
+
+  function onDrag(e) {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const rect = wrapRef.current.getBoundingClientRect();
+    const dx = (e.clientX - drag.x) / Math.max(1, rect.width);
+    const dy = (e.clientY - drag.y) / Math.max(1, rect.height);
+    const crop =
+      drag.mode === "move"
+        ? moveCrop(drag.crop, dx, dy)
+        : resizeCrop(drag.crop, dx, dy, ratio, size.width, size.height);
+    setEdits((prev) => ({ ...prev, crop }));
+  }
+
+  function endDrag() {
+    dragRef.current = null;
+  }
+
+  function setAspect(aspect) {
+    const next = aspectRatio(aspect, size.width, size.height);
+    change({
+      ...edits,
+      aspect,
+      crop: fitCrop(edits.crop, next, size.width, size.height),
+    });
+  }
+
+  async function save(overwrite) {
+    if (!bitmap || saving) return;
+    setSaving(true);
+    setError("");
+    try {
+      const canvas = renderEdits(bitmap, edits);
+      const blob = await new Promise((resolve) =>
+        canvas.toBlob(resolve, "image/jpeg", jpegQuality)
+      );
+      if (!blob) throw new Error("Could not encode image.");
+      await onSave(blob, edits, overwrite);
+    } catch (e) {
+      console.error("Saving edit failed:", e);
+      setError("Could not save the edited photo.");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const { crop } = edits;
+  const unedited = isUnedited(edits);
+
+  return (
+    <div className="photoEditor">
+      <div className="editorStage">
+        {bitmap && (
+          <div
+            ref={wrapRef}
+            className="editorCanvasWrap"
+            style={{ "--ratio": size.width / size.height }}
+            onPointerMove={onDrag}
+            onPointerUp={endDrag}
+            onPointerCancel={endDrag}
+          >
+            <canvas ref={canvasRef} className="editorCanvas" />
+            <div
+              className="cropBox"
+              style={{
+                left: `${crop.x * 100}%`,
+                top: `${crop.y * 100}%`,
+                width: `${crop.w * 100}%`,
+                height: `${crop.h * 100}%`,
+              }}
+              onPointerDown={(e) => startDrag(e, "move")}
+            >
+              <span
+                className="cropHandle"
+                onPointerDown={(e) => startDrag(e, "resize")}
+              />
+            </div>
+          </div>
+        )}
+        {!bitmap && !error && <div className="drawerHint">Loading...</div>}
+      </div>
+
+      <div className="editorTools">
+        <div className="editorRow">
+          <label className="field">
+            <span>Crop</span>
+            <select value={edits.aspect} onChange={(e) => setAspect(e.target.value)}>
+              {ASPECT_PRESETS.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            className="iconBtn"
+            onClick={() =>
+              change(rotateEdits(edits, false, bitmap.width, bitmap.height))
+            }
+            disabled={!bitmap}
+            title="Rotate left"
+          >
+            ⟲
+          </button>
+          <button
+            className="iconBtn"
+            onClick={() =>
+              change(rotateEdits(edits, true, bitmap.width, bitmap.height))
+            }
+            disabled={!bitmap}
+            title="Rotate right"
+          >
+            ⟳
+          </button>
+          <button
+            className="iconBtn"
+            onClick={() => change(flipEdits(edits, true))}
+            aria-pressed={edits.flipH}
+            title="Flip horizontally"
+          >
+            ⇋
+          </button>
+          <button
+            className="iconBtn"
+            onClick={() => change(flipEdits(edits, false))}
+            aria-pressed={edits.flipV}
+            title="Flip vertically"
+          >
+            ⇵
+          </button>
+        </div>
+
+        <div className="editorSliders">
+          {ADJUSTMENTS.map(({ key, label }) => (
+            <label className="field" key={key}>
+              <span>
+                {label} ({edits[key] > 0 ? "+" : ""}
+                {edits[key]})
+              </span>
+              <input
+                type="range"
+                min={-100}
+                max={100}
+                step={1}
+                value={edits[key]}
+                onChange={(e) =>
+                  change({ ...edits, [key]: Number(e.target.value) }, key)
+                }
+              />
+            </label>
+          ))}
+        </div>
+
+        {error && <div className="drawerError">{error}</div>}
+
+        <div className="editorRow">
+          <button className="iconBtn" onClick={undo} disabled={!history.length}>
+            Undo
+          </button>
+          <button
+            className="iconBtn"
+            onClick={() => change(DEFAULT_EDITS)}
+            disabled={unedited}
+          >
+            Reset
+          </button>
+          <span className="editorSpacer" />
+          <button className="iconBtn" onClick={onCancel} disabled={saving}>
+            Cancel
+          </button>
+          <button
+            className="iconBtn"
+            onClick={() => save(false)}
+            disabled={unedited || saving || !bitmap}
+          >
+            Save as copy
+          </button>
+          <button
+            className="iconBtn danger"
+            onClick={() => save(true)}
+            disabled={unedited || saving || !bitmap}
+          >
+            Overwrite
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { useState } from "react";
+import { DEFAULT_SETTINGS, SETTINGS_SCHEMA, validateSettings } from "./settings";
+
+// Keeps the typed text locally and only validates on blur/Enter, so the value
+// isn't clamped while the user is still typing.
+function NumberField({ field, value, onCommit }) {
+  const [draft, setDraft] = useState(null);
+
+  function commit() {
+    if (draft === null) return;
+    onCommit(draft);
+    setDraft(null);
+  }
+
+  return (
+    <label className="field">
+      <span>
+        {field.label}
+        {field.unit ? ` (${field.unit})` : ""}
+      </span>
+      <input
+        type="number"
+        inputMode="decimal"
+        min={field.min}
+        max={field.max}
+        step={field.step}
+        value={draft ?? value}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") commit();
+        }}
+      />
+    </label>
+  );
+}
+
+export default function SettingsPanel({ settings, onChange }) {
+  function update(key, value) {
+    onChange(validateSettings({ ...settings, [key]: value }));
+  }
+
+  return (
+    <div className="settings">
+      <div className="fieldGrid">
+        {SETTINGS_SCHEMA.filter((f) => f.type === "number").map((field) => (
+          <NumberField
+            key={field.key}
+            field={field}
+            value={settings[field.key]}
+            onCommit={(value) => update(field.key, value)}
+          />
+        ))}
+        {SETTINGS_SCHEMA.filter((f) => f.type === "select").map((field) => (
+          <label className="field" key={field.key}>
+            <span>{field.label}</span>
+            <select
+              value={settings[field.key]}
+              onChange={(e) => update(field.key, e.target.value)}
+            >
+              {field.options.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      {SETTINGS_SCHEMA.filter((f) => f.type === "boolean").map((field) => (
+        <label className="checkField" key={field.key}>
+          <input
+            type="checkbox"
+            checked={settings[field.key]}
+            onChange={(e) => update(field.key, e.target.checked)}
+          />
+          <span>{field.label}</span>
+        </label>
+      ))}
+
+      <div className="bindingsActions">
+        <button
+          className="iconBtn"
+          onClick={() => onChange(DEFAULT_SETTINGS)}
+          type="button"
+        >
+          Reset defaults
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+import { useState } from "react";
+import {
+  ANCHORS,
+  ANCHOR_LABELS,
+  STICKER_EMOJI,
+  STICKER_SIZES,
+  imageFileToSticker,
+} from "./stickers";
+
+export default function StickersPanel({ stickers, onChange }) {
+  const [error, setError] = useState("");
+
+  function updateAt(index, patch) {
+    onChange(stickers.map((s, idx) => (idx === index ? { ...s, ...patch } : s)));
+  }
+
+  function removeAt(index) {
+    onChange(stickers.filter((_, idx) => idx !== index));
+  }
+
+  function addEmoji() {
+    onChange([
+      ...stickers,
+      { emoji: STICKER_EMOJI[0], anchor: ANCHORS.INDEX_TIP, scale: 0.6 },
+    ]);
+  }
+
+  async function addImage(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const image = await imageFileToSticker(file);
+      setError("");
+      onChange([...stickers, { image, anchor: ANCHORS.PALM, scale: 1 }]);
+    } catch (err) {
+      console.error(err);
+      setError("Could not read that image.");
+    }
+  }
+
+  return (
+    <div className="bindings">
+      {stickers.length === 0 && (
+        <div className="bindingsEmpty">No stickers.</div>
+      )}
+
+      {stickers.map((s, idx) => (
+        <div className="bindingRow" key={idx}>
+          {s.image ? (
+            <img className="stickerPreview" src={s.image} alt="Custom sticker" />
+          ) : (
+            <select
+              value={s.emoji}
+              onChange={(e) => updateAt(idx, { emoji: e.target.value })}
+              aria-label="Sticker"
+            >
+              {STICKER_EMOJI.map((emoji) => (
+                <option key={emoji} value={emoji}>
+                  {emoji}
+                </option>
+              ))}
+            </select>
+          )}
+
+          <select
+            value={s.anchor}
+            onChange={(e) => updateAt(idx, { anchor: e.target.value })}
+            aria-label="Anchor"
+          >
+            {Object.entries(ANCHOR_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+
+          <select
+            value={s.scale}
+            onChange={(e) => updateAt(idx, { scale: Number(e.target.value) })}
+            aria-label="Size"
+          >
+            {STICKER_SIZES.map((size) => (
+              <option key={size.value} value={size.value}>
+                {size.label}
+              </option>
+            ))}
+          </select>
+
+          <button
+            className="iconBtn"
+            onClick={() => removeAt(idx)}
+            title="Remove sticker"
+            type="button"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+
+      <div className="bindingsActions">
+        <button className="iconBtn" onClick={addEmoji} type="button">
+          Add sticker
+        </button>
+        <label className="iconBtn">
+          Add image...
+          <input
+            className="fileInput"
+            type="file"
+            accept="image/*"
+            onChange={addImage}
+          />
+        </label>
+      </div>
+      {error && <div className="drawerError">{error}</div>}
+    </div>
+  );
+}
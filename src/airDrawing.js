@@ -0,0 +1,209 @@
+// Air drawing: the index fingertip draws strokes in source (video)
+// coordinates, a pinch lifts/lowers the pen, a held open palm erases
+// everything and a peace sign switches colour.
+import { GESTURES } from "./gestures";
+
+export const DRAWING_COLORS = [
+  "#ff3b30",
+  "#ffcc00",
+  "#34c759",
+  "#0a84ff",
+  "#bf5af2",
+  "#ffffff",
+];
+
+export const DRAWING_GESTURES = {
+  TOGGLE_PEN: GESTURES.PINCH,
+  ERASE: GESTURES.OPEN_PALM,
+  NEXT_COLOR: GESTURES.PEACE,
+};
+
+const reservedGestures = new Set(Object.values(DRAWING_GESTURES));
+
+// Gestures the drawing consumes, so they don't also trigger bindings.
+export function isDrawingGesture(name) {
+  return reservedGestures.has(name);
+}
+
+export const DEFAULT_DRAWING_OPTIONS = {
+  lineWidth: 6,
+  eraseHoldMs: 600,
+  // ignore fingertip jitter smaller than this (px)
+  minSegment: 2,
+  // a stroke survives this long without drawing, so a frame or two of
+  // classifier flicker doesn't split it
+  strokeGraceMs: 200,
+};
+
+const INDEX_TIP = 8;
+
+function drawStrokes(ctx, strokes) {
+  ctx.save();
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  for (const stroke of strokes) {
+    const [first, ...rest] = stroke.points;
+    ctx.strokeStyle = stroke.color;
+    ctx.fillStyle = stroke.color;
+    ctx.lineWidth = stroke.width;
+    ctx.beginPath();
+    if (!rest.length) {
+      ctx.arc(first.x, first.y, stroke.width / 2, 0, Math.PI * 2);
+      ctx.fill();
+      continue;
+    }
+    ctx.moveTo(first.x, first.y);
+    for (const p of rest) ctx.lineTo(p.x, p.y);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+export function createAirDrawing(options = {}) {
+  const opts = { ...DEFAULT_DRAWING_OPTIONS, ...options };
+  // [{ color, width, points: [{ x, y }] }]
+  let strokes = [];
+  let colorIndex = 0;
+  let penDown = false;
+  // bumped on every visible change so callers only repaint when needed
+  let version = 0;
+  // per hand track id: { gesture, since, handled, stroke, drawnAt }
+  const pens = new Map();
+
+  function penFor(id) {
+    let pen = pens.get(id);
+    if (!pen) {
+      pen = {
+        gesture: null,
+        since: 0,
+        handled: false,
+        stroke: null,
+        drawnAt: 0,
+      };
+      pens.set(id, pen);
+    }
+    return pen;
+  }
+
+  function endStrokes() {
+    for (const pen of pens.values()) pen.stroke = null;
+  }
+
+  function onGesture(pen, gesture, now) {
+    if (gesture !== pen.gesture) {
+      pen.gesture = gesture;
+      pen.since = now;
+      pen.handled = false;
+    }
+    if (pen.handled) return;
+
+    if (gesture === DRAWING_GESTURES.TOGGLE_PEN) {
+      penDown = !penDown;
+      pen.handled = true;
+      endStrokes();
+      version++;
+    } else if (gesture === DRAWING_GESTURES.NEXT_COLOR) {
+      colorIndex = (colorIndex + 1) % DRAWING_COLORS.length;
+      pen.handled = true;
+      endStrokes();
+      version++;
+    } else if (
+      gesture === DRAWING_GESTURES.ERASE &&
+      now - pen.since >= opts.eraseHoldMs
+    ) {
+      pen.handled = true;
+      if (strokes.length) {
+        strokes = [];
+        endStrokes();
+        version++;
+      }
+    }
+  }
+
+  function extend(pen, tip, now) {
+    const resumed = pen.stroke && now - pen.drawnAt <= opts.strokeGraceMs;
+    pen.drawnAt = now;
+    if (!resumed) {
+      pen.stroke = {
+        color: DRAWING_COLORS[colorIndex],
+        width: opts.lineWidth,
+        points: [{ x: tip.x, y: tip.y }],
+      };
+      strokes.push(pen.stroke);
+      version++;
+      return;
+    }
+    const last = pen.stroke.points[pen.stroke.points.length - 1];
+    if (Math.hypot(tip.x - last.x, tip.y - last.y) < opts.minSegment) return;
+    pen.stroke.points.push({ x: tip.x, y: tip.y });
+    version++;
+  }
+
+  return {
+    get color() {
+      return DRAWING_COLORS[colorIndex];
+    },
+    get penDown() {
+      return penDown;
+    },
+    get version() {
+      return version;
+    },
+    get isEmpty() {
+      return strokes.length === 0;
+    },
+
+    // hands: [{ id, keypoints, gesture }] with gesture as a name
+    update(hands, now) {
+      const live = new Set(hands.map((h) => h.id));
+      for (const id of pens.keys()) {
+        if (!live.has(id)) pens.delete(id);
+      }
+
+      for (const hand of hands) {
+        const tip = hand.keypoints?.[INDEX_TIP];
+        const pen = penFor(hand.id);
+        onGesture(pen, hand.gesture, now);
+        if (!tip || !penDown || isDrawingGesture(hand.gesture)) continue;
+        extend(pen, tip, now);
+      }
+    },
+
+    // Pen position marker for the live overlay.
+    drawCursor(ctx, hands) {
+      for (const hand of hands) {
+        const tip = hand.keypoints?.[INDEX_TIP];
+        if (!tip) continue;
+        ctx.beginPath();
+        ctx.arc(tip.x, tip.y, opts.lineWidth + 3, 0, Math.PI * 2);
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = "rgba(0,0,0,0.6)";
+        ctx.stroke();
+        ctx.fillStyle = DRAWING_COLORS[colorIndex];
+        if (penDown) ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = DRAWING_COLORS[colorIndex];
+        ctx.beginPath();
+        ctx.arc(tip.x, tip.y, opts.lineWidth + 1, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+    },
+
+    draw(ctx) {
+      drawStrokes(ctx, strokes);
+    },
+
+    // The strokes as they are now, for drawing later (e.g. onto a photo
+    // that arrives after more has been drawn).
+    snapshot() {
+      const frozen = strokes.map((s) => ({ ...s, points: [...s.points] }));
+      return { draw: (ctx) => drawStrokes(ctx, frozen) };
+    },
+
+    clear() {
+      strokes = [];
+      endStrokes();
+      version++;
+    },
+  };
+}
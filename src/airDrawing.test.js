@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { createAirDrawing } from "./airDrawing";
+import { GESTURES } from "./gestures";
+
+function hand(gesture, x) {
+  const keypoints = Array.from({ length: 21 }, () => ({ x, y: 100 }));
+  return { id: 1, keypoints, gesture };
+}
+
+// Pen down with a pinch, then the fingertip moves right 10 px every 66 ms
+// with the gesture given per frame.
+function draw(gestures, options) {
+  const drawing = createAirDrawing(options);
+  drawing.update([hand(GESTURES.PINCH, 0)], 0);
+  gestures.forEach((gesture, i) => {
+    drawing.update([hand(gesture, (i + 1) * 10)], (i + 1) * 66);
+  });
+  let strokes = 0;
+  drawing.draw({
+    save() {},
+    restore() {},
+    beginPath: () => strokes++,
+    arc() {},
+    fill() {},
+    moveTo() {},
+    lineTo() {},
+    stroke() {},
+  });
+  return strokes;
+}
+
+describe("air drawing", () => {
+  const { POINTING, NONE, FIST, OPEN_PALM, PEACE } = GESTURES;
+
+  it("keeps one stroke through a frame of classifier flicker", () => {
+    expect(draw([POINTING, POINTING, NONE, POINTING, POINTING])).toBe(1);
+    expect(draw([POINTING, FIST, NONE, POINTING])).toBe(1);
+  });
+
+  it("starts a new stroke after a longer pause in drawing", () => {
+    const pause = [OPEN_PALM, OPEN_PALM, OPEN_PALM, OPEN_PALM];
+    const strokes = draw([POINTING, ...pause, POINTING], { eraseHoldMs: 10000 });
+    expect(strokes).toBe(2);
+  });
+
+  it("ends the stroke when the colour changes", () => {
+    expect(draw([POINTING, PEACE, POINTING])).toBe(2);
+  });
+});
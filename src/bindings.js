@@ -0,0 +1,127 @@
+// Gesture -> action binding table, persisted in localStorage.
+import { GESTURES } from "./gestures";
+import { SWIPES } from "./swipe";
+import { readJSON, writeJSON } from "./storage";
+
+export const ACTIONS = {
+  START_COUNTDOWN: "start_countdown",
+  START_BURST: "start_burst",
+  START_BOOMERANG: "start_boomerang",
+  CAPTURE_NOW: "capture_now",
+  CANCEL_COUNTDOWN: "cancel_countdown",
+  OPEN_GALLERY: "open_gallery",
+  START_RECORDING: "start_recording",
+  TOGGLE_OVERLAY: "toggle_overlay",
+  TOGGLE_DRAWING: "toggle_drawing",
+  NEXT_FILTER: "next_filter",
+  PREV_FILTER: "prev_filter",
+};
+
+export const ACTION_LABELS = {
+  [ACTIONS.START_COUNTDOWN]: "Start countdown",
+  [ACTIONS.START_BURST]: "Start burst countdown",
+  [ACTIONS.START_BOOMERANG]: "Start boomerang countdown",
+  [ACTIONS.CAPTURE_NOW]: "Capture instantly",
+  [ACTIONS.CANCEL_COUNTDOWN]: "Cancel countdown",
+  [ACTIONS.OPEN_GALLERY]: "Open gallery",
+  [ACTIONS.START_RECORDING]: "Start/stop clip recording",
+  [ACTIONS.TOGGLE_OVERLAY]: "Toggle overlay",
+  [ACTIONS.TOGGLE_DRAWING]: "Toggle air drawing",
+  [ACTIONS.NEXT_FILTER]: "Next filter",
+  [ACTIONS.PREV_FILTER]: "Previous filter",
+};
+
+export const HANDS = {
+  ANY: "any",
+  LEFT: "left",
+  RIGHT: "right",
+};
+
+export const DEFAULT_BINDINGS = [
+  { hand: HANDS.ANY, gesture: GESTURES.OK, action: ACTIONS.START_COUNTDOWN },
+  { hand: HANDS.ANY, gesture: GESTURES.PEACE, action: ACTIONS.START_BURST },
+  {
+    hand: HANDS.ANY,
+    gesture: GESTURES.THUMBS_UP,
+    action: ACTIONS.START_RECORDING,
+  },
+  {
+    hand: HANDS.ANY,
+    gesture: GESTURES.OPEN_PALM,
+    action: ACTIONS.CANCEL_COUNTDOWN,
+  },
+  { hand: HANDS.ANY, gesture: SWIPES.RIGHT, action: ACTIONS.NEXT_FILTER },
+  { hand: HANDS.ANY, gesture: SWIPES.LEFT, action: ACTIONS.PREV_FILTER },
+];
+
+// Fixed table used while the gallery is open. `holdMs` overrides the
+// configured gesture hold time.
+export const GALLERY_ACTIONS = {
+  NEXT: "gallery_next",
+  PREV: "gallery_prev",
+  CLOSE: "gallery_close",
+  DOWNLOAD: "gallery_download",
+  DELETE: "gallery_delete",
+};
+
+export const GALLERY_DELETE_HOLD_MS = 2000;
+
+export const GALLERY_BINDINGS = [
+  // like a touch screen: moving the hand left brings in the next photo
+  { hand: HANDS.ANY, gesture: SWIPES.LEFT, action: GALLERY_ACTIONS.NEXT },
+  { hand: HANDS.ANY, gesture: SWIPES.RIGHT, action: GALLERY_ACTIONS.PREV },
+  { hand: HANDS.ANY, gesture: GESTURES.FIST, action: GALLERY_ACTIONS.CLOSE },
+  {
+    hand: HANDS.ANY,
+    gesture: GESTURES.THUMBS_UP,
+    action: GALLERY_ACTIONS.DOWNLOAD,
+  },
+  {
+    hand: HANDS.ANY,
+    gesture: GESTURES.OPEN_PALM,
+    action: GALLERY_ACTIONS.DELETE,
+    holdMs: GALLERY_DELETE_HOLD_MS,
+  },
+];
+
+const STORAGE_KEY = "handcam.bindings.v1";
+
+const actionValues = new Set(Object.values(ACTIONS));
+const handValues = new Set(Object.values(HANDS));
+
+function isValidBinding(b) {
+  return (
+    !!b &&
+    typeof b.gesture === "string" &&
+    b.gesture !== GESTURES.NONE &&
+    handValues.has(b.hand) &&
+    actionValues.has(b.action)
+  );
+}
+
+export function loadBindings() {
+  const parsed = readJSON(STORAGE_KEY);
+  if (!Array.isArray(parsed)) return DEFAULT_BINDINGS;
+  return parsed.filter(isValidBinding);
+}
+
+export function saveBindings(bindings) {
+  writeJSON(STORAGE_KEY, bindings.filter(isValidBinding));
+}
+
+// Hand-specific bindings win over "any" for the same gesture.
+export function resolveBinding(bindings, side, gesture) {
+  if (!gesture || gesture === GESTURES.NONE) return null;
+
+  let fallback = null;
+  for (const b of bindings || []) {
+    if (b.gesture !== gesture) continue;
+    if (b.hand === side) return b;
+    if (b.hand === HANDS.ANY && !fallback) fallback = b;
+  }
+  return fallback;
+}
+
+export function resolveAction(bindings, side, gesture) {
+  return resolveBinding(bindings, side, gesture)?.action ?? null;
+}
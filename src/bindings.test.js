@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest";
+import {
+  ACTIONS,
+  ACTION_LABELS,
+  DEFAULT_BINDINGS,
+  HANDS,
+  resolveAction,
+} from "./bindings";
+import { GESTURES } from "./gestures";
+
+describe("bindings", () => {
+  it("offers exactly the defined actions", () => {
+    expect(Object.keys(ACTION_LABELS).sort()).toEqual(
+      Object.values(ACTIONS).sort()
+    );
+    for (const b of DEFAULT_BINDINGS) {
+      expect(ACTION_LABELS[b.action]).toBeTruthy();
+    }
+  });
+
+  it("prefers a hand-specific binding over an any-hand one", () => {
+    const bindings = [
+      { hand: HANDS.ANY, gesture: GESTURES.FIST, action: ACTIONS.CAPTURE_NOW },
+      { hand: HANDS.LEFT, gesture: GESTURES.FIST, action: ACTIONS.OPEN_GALLERY },
+    ];
+    expect(resolveAction(bindings, HANDS.LEFT, GESTURES.FIST)).toBe(
+      ACTIONS.OPEN_GALLERY
+    );
+    expect(resolveAction(bindings, HANDS.RIGHT, GESTURES.FIST)).toBe(
+      ACTIONS.CAPTURE_NOW
+    );
+    expect(resolveAction(bindings, HANDS.RIGHT, GESTURES.NONE)).toBe(null);
+  });
+});
@@ -0,0 +1,130 @@
+// Boomerang clips: a short run of frames played forward then backward, encoded
+// in the browser as an animated GIF (or WebM through MediaRecorder).
+import { GIFEncoder, applyPalette, quantize } from "gifenc";
+import { createClipRecorder, isClipRecordingSupported } from "./clipRecorder";
+import { DEFAULT_FILTER, applyFilterToCanvas } from "./filters";
+
+export const BOOMERANG_FORMATS = {
+  GIF: "gif",
+  WEBM: "webm",
+};
+
+export const BOOMERANG_FPS = 12;
+const MAX_SIDE = 480;
+const THUMBNAIL_SIDE = 160;
+
+function fitSize(width, height, maxSide) {
+  const scale = Math.min(1, maxSide / Math.max(width, height, 1));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+// Grabs downscaled RGBA frames, flipped like the preview when mirrored and
+// with the live filter baked in. `decorate(ctx)` can draw on top of each frame.
+export function createFrameGrabber(
+  sourceWidth,
+  sourceHeight,
+  { mirror = false, filter = DEFAULT_FILTER, decorate = null } = {}
+) {
+  const { width, height } = fitSize(sourceWidth, sourceHeight, MAX_SIDE);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+
+  return {
+    grab(source) {
+      ctx.save();
+      if (mirror) {
+        ctx.translate(width, 0);
+        ctx.scale(-1, 1);
+      }
+      ctx.drawImage(source, 0, 0, width, height);
+      ctx.restore();
+      applyFilterToCanvas(ctx, width, height, filter);
+      decorate?.(ctx);
+      return ctx.getImageData(0, 0, width, height);
+    },
+  };
+}
+
+// forward, then back without repeating the two end frames
+export function boomerangSequence(frames) {
+  return [...frames, ...frames.slice(1, -1).reverse()];
+}
+
+function resizeFrames(frames, maxSide) {
+  const { width, height } = fitSize(frames[0].width, frames[0].height, maxSide);
+  const source = document.createElement("canvas");
+  source.width = frames[0].width;
+  source.height = frames[0].height;
+  const target = document.createElement("canvas");
+  target.width = width;
+  target.height = height;
+  const sourceCtx = source.getContext("2d");
+  const targetCtx = target.getContext("2d", { willReadFrequently: true });
+
+  return frames.map((frame) => {
+    sourceCtx.putImageData(frame, 0, 0);
+    targetCtx.drawImage(source, 0, 0, width, height);
+    return targetCtx.getImageData(0, 0, width, height);
+  });
+}
+
+export function encodeGif(frames, { fps = BOOMERANG_FPS } = {}) {
+  const gif = GIFEncoder();
+  const delay = Math.round(1000 / fps);
+  for (const frame of frames) {
+    const palette = quantize(frame.data, 256);
+    const index = applyPalette(frame.data, palette);
+    gif.writeFrame(index, frame.width, frame.height, { palette, delay });
+  }
+  gif.finish();
+  return new Blob([gif.bytes()], { type: "image/gif" });
+}
+
+// Plays the frames onto a canvas in real time and records it.
+export async function encodeWebm(frames, { fps = BOOMERANG_FPS } = {}) {
+  const canvas = document.createElement("canvas");
+  canvas.width = frames[0].width;
+  canvas.height = frames[0].height;
+  const ctx = canvas.getContext("2d");
+  ctx.putImageData(frames[0], 0, 0);
+
+  const stream = canvas.captureStream(fps);
+  const recorder = createClipRecorder(stream);
+  recorder.start();
+  for (const frame of frames) {
+    ctx.putImageData(frame, 0, 0);
+    await new Promise((resolve) => setTimeout(resolve, 1000 / fps));
+  }
+  const blob = await recorder.stop();
+  stream.getTracks().forEach((t) => t.stop());
+  return blob;
+}
+
+// Resolves to { blob, thumbnail, format }. The thumbnail is always a small
+// animated GIF so the gallery strip can loop it.
+export async function encodeBoomerang(
+  frames,
+  { format = BOOMERANG_FORMATS.GIF, fps = BOOMERANG_FPS } = {}
+) {
+  if (frames.length < 2) throw new Error("Not enough frames for a boomerang.");
+  const sequence = boomerangSequence(frames);
+  const thumbnail = encodeGif(resizeFrames(sequence, THUMBNAIL_SIDE), { fps });
+
+  if (format === BOOMERANG_FORMATS.WEBM && isClipRecordingSupported()) {
+    try {
+      return { blob: await encodeWebm(sequence, { fps }), thumbnail, format };
+    } catch (e) {
+      console.warn("WebM boomerang failed, falling back to GIF:", e);
+    }
+  }
+  return {
+    blob: encodeGif(sequence, { fps }),
+    thumbnail,
+    format: BOOMERANG_FORMATS.GIF,
+  };
+}
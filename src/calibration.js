@@ -0,0 +1,195 @@
+// Per-user gesture calibration: measures hand ratios while the user holds an
+// OK sign, a fist and an open palm, then derives personal classifier thresholds.
+import { DEFAULT_THRESHOLDS, GESTURES } from "./gestures";
+import { readJSON, writeJSON } from "./storage";
+
+export const CALIBRATION_STEPS = [
+  {
+    pose: GESTURES.OK,
+    title: "Hold an OK sign",
+    hint: "Thumb and index touching, other three fingers extended.",
+  },
+  {
+    pose: GESTURES.FIST,
+    title: "Make a fist",
+    hint: "Curl all fingers in, thumb resting over them.",
+  },
+  {
+    pose: GESTURES.OPEN_PALM,
+    title: "Show an open palm",
+    hint: "Spread all five fingers towards the camera.",
+  },
+];
+
+const DEFAULT_SESSION_OPTIONS = {
+  prepareMs: 2000,
+  measureMs: 3000,
+  minSamples: 8,
+};
+
+function quantile(values, q) {
+  if (!values.length) return NaN;
+  const sorted = [...values].sort((a, b) => a - b);
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Keep derived values within a sane band around the defaults so one bad
+// measurement can't make a gesture impossible (or trigger constantly).
+function bounded(key, value) {
+  const d = DEFAULT_THRESHOLDS[key];
+  if (!Number.isFinite(value)) return d;
+  return clamp(value, d * 0.5, d * 2);
+}
+
+// samples: { [pose]: features[] } as produced by measureHand()
+export function deriveThresholds(samples) {
+  const pick = (pose, key) => (samples[pose] || []).map((f) => f[key]);
+  const ok = (key, q) => quantile(pick(GESTURES.OK, key), q);
+  const fist = (key, q) => quantile(pick(GESTURES.FIST, key), q);
+  const open = (key, q) => quantile(pick(GESTURES.OPEN_PALM, key), q);
+
+  // touch: comfortably above the user's OK pinch, well below an open hand
+  const okTouchHigh = ok("touchRatio", 0.9);
+  const openTouchLow = open("touchRatio", 0.1);
+  const okTouchThreshold = Math.min(
+    Math.max(
+      okTouchHigh * 1.25,
+      okTouchHigh + (openTouchLow - okTouchHigh) * 0.3
+    ),
+    openTouchLow * 0.6
+  );
+
+  const indexCurledMin = ok("indexCurlRatio", 0.1) * 0.7;
+  const indexCurledMax = Math.min(
+    ok("indexCurlRatio", 0.9) * 1.3,
+    open("indexCurlRatio", 0.1) * 0.95
+  );
+
+  // tips-to-wrist separates a fist from everything else
+  const fistHigh = fist("tipToWristRatio", 0.9);
+  const openishLow = Math.min(
+    ok("tipToWristRatio", 0.1),
+    open("tipToWristRatio", 0.1)
+  );
+  const fistGuardMin = (fistHigh + openishLow) / 2;
+
+  return {
+    ...DEFAULT_THRESHOLDS,
+    okTouchThreshold: bounded("okTouchThreshold", okTouchThreshold),
+    indexCurledMin: bounded("indexCurledMin", indexCurledMin),
+    indexCurledMax: bounded("indexCurledMax", indexCurledMax),
+    thumbExtensionMin: bounded(
+      "thumbExtensionMin",
+      ok("thumbExtensionRatio", 0.1) * 0.8
+    ),
+    threeFingersExtensionMin: bounded(
+      "threeFingersExtensionMin",
+      ok("threeFingersAvgExt", 0.1) * 0.85
+    ),
+    threeFingersToCircleMin: bounded(
+      "threeFingersToCircleMin",
+      ok("awayAvg", 0.1) * 0.8
+    ),
+    fistGuardMin: bounded("fistGuardMin", fistGuardMin),
+  };
+}
+
+// Steps through CALIBRATION_STEPS; feed it the measured features of the main
+// hand (or null) and what the default classifier makes of it on every
+// inference tick. Samples classified as another gesture are dropped; "none"
+// is kept, since poses the defaults miss are what calibration is for.
+export function createCalibrationSession(options = {}) {
+  const opts = { ...DEFAULT_SESSION_OPTIONS, ...options };
+  const samples = {};
+  let index = 0;
+  let phase = "prepare";
+  let phaseStartedAt = null;
+  let retry = false;
+  let wrongPose = false;
+  let mismatches = 0;
+
+  function snapshot(now) {
+    if (index >= CALIBRATION_STEPS.length) {
+      return { done: true, thresholds: deriveThresholds(samples) };
+    }
+    const duration = phase === "prepare" ? opts.prepareMs : opts.measureMs;
+    const elapsed = phaseStartedAt === null ? 0 : now - phaseStartedAt;
+    return {
+      done: false,
+      stepIndex: index,
+      stepCount: CALIBRATION_STEPS.length,
+      step: CALIBRATION_STEPS[index],
+      phase,
+      retry,
+      wrongPose,
+      progress: clamp(elapsed / duration, 0, 1),
+    };
+  }
+
+  return {
+    update(features, now, gesture = null) {
+      if (index >= CALIBRATION_STEPS.length) return snapshot(now);
+      if (phaseStartedAt === null) phaseStartedAt = now;
+
+      const { pose } = CALIBRATION_STEPS[index];
+      const elapsed = now - phaseStartedAt;
+
+      if (phase === "prepare") {
+        if (elapsed >= opts.prepareMs) {
+          phase = "measure";
+          phaseStartedAt = now;
+          samples[pose] = [];
+          mismatches = 0;
+        }
+        return snapshot(now);
+      }
+
+      if (features) {
+        if (!gesture || gesture === pose || gesture === GESTURES.NONE) {
+          samples[pose].push(features);
+        } else {
+          mismatches += 1;
+        }
+      }
+      if (elapsed >= opts.measureMs) {
+        retry = samples[pose].length < opts.minSamples;
+        wrongPose = retry && mismatches > samples[pose].length;
+        if (!retry) index += 1;
+        phase = "prepare";
+        phaseStartedAt = now;
+      }
+      return snapshot(now);
+    },
+  };
+}
+
+const STORAGE_KEY = "handcam.calibration.v1";
+
+// Returns { thresholds, createdAt } | { skipped: true } | null
+export function loadCalibration() {
+  const parsed = readJSON(STORAGE_KEY);
+  if (parsed?.skipped) return { skipped: true };
+  if (!parsed?.thresholds) return null;
+
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  for (const key of Object.keys(DEFAULT_THRESHOLDS)) {
+    if (Number.isFinite(parsed.thresholds[key])) {
+      thresholds[key] = parsed.thresholds[key];
+    }
+  }
+  const createdAt =
+    typeof parsed.createdAt === "string" ? parsed.createdAt : null;
+  return { thresholds, createdAt };
+}
+
+// null forgets the profile
+export function saveCalibration(profile) {
+  writeJSON(STORAGE_KEY, profile);
+}
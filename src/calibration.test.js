@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { CALIBRATION_STEPS, createCalibrationSession } from "./calibration";
+import { GESTURES } from "./gestures";
+
+const OPTIONS = { prepareMs: 100, measureMs: 100, minSamples: 3 };
+const FEATURES = { handScale: 100, touchRatio: 0.1 };
+
+// runs the first step's prepare phase, then feeds `gesture` every 10 ms
+function measureFirstStep(gesture) {
+  const session = createCalibrationSession(OPTIONS);
+  session.update(null, 0);
+  session.update(null, 100);
+  let snapshot;
+  for (let t = 110; t <= 200; t += 10) {
+    snapshot = session.update(FEATURES, t, gesture);
+  }
+  return snapshot;
+}
+
+describe("createCalibrationSession", () => {
+  it("moves on after enough samples of the requested pose", () => {
+    expect(CALIBRATION_STEPS[0].pose).toBe(GESTURES.OK);
+    const snapshot = measureFirstStep(GESTURES.OK);
+    expect(snapshot.stepIndex).toBe(1);
+    expect(snapshot.retry).toBe(false);
+  });
+
+  it("keeps samples the default classifier doesn't recognize", () => {
+    expect(measureFirstStep(GESTURES.NONE).stepIndex).toBe(1);
+  });
+
+  it("rejects samples classified as another gesture", () => {
+    const snapshot = measureFirstStep(GESTURES.FIST);
+    expect(snapshot.stepIndex).toBe(0);
+    expect(snapshot.retry).toBe(true);
+    expect(snapshot.wrongPose).toBe(true);
+  });
+});
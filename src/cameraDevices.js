@@ -0,0 +1,99 @@
+// Camera selection: listing video inputs, building getUserMedia constraints
+// for the chosen device/resolution/frame rate and remembering the choice.
+import { readJSON, writeJSON } from "./storage";
+
+export const RESOLUTION_PRESETS = [
+  { id: "auto", label: "Auto" },
+  { id: "480p", label: "640 × 480", width: 640, height: 480 },
+  { id: "720p", label: "1280 × 720", width: 1280, height: 720 },
+  { id: "1080p", label: "1920 × 1080", width: 1920, height: 1080 },
+  { id: "4k", label: "3840 × 2160", width: 3840, height: 2160 },
+];
+
+// 0 lets the browser pick
+export const FRAME_RATES = [0, 15, 24, 30, 60];
+
+// getUserMedia facingMode values; phones often report empty device labels
+// before permission is granted, so front/back is chosen by facing instead
+export const FACING_MODES = {
+  FRONT: "user",
+  BACK: "environment",
+};
+
+export const DEFAULT_CAMERA_CONFIG = {
+  // null uses the camera facing `facingMode`
+  deviceId: null,
+  facingMode: FACING_MODES.FRONT,
+  resolution: "auto",
+  frameRate: 0,
+};
+
+const REAR_LABEL = /\b(back|rear|environment)\b/i;
+
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((d) => d.kind === "videoinput" && d.deviceId)
+    .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+}
+
+// Rear cameras are shown unmirrored. facingMode is missing on most desktop
+// browsers and external cameras, so the label is checked too.
+export function isRearCamera(track) {
+  const { facingMode } = track?.getSettings?.() ?? {};
+  if (facingMode) return facingMode === "environment";
+  return REAR_LABEL.test(track?.label ?? "");
+}
+
+// viewport: { width, height } in device pixels to size "auto" to, or null to
+// leave the resolution to the browser (phones).
+export function buildVideoConstraints(config, viewport = null) {
+  const { deviceId, facingMode, resolution, frameRate } = {
+    ...DEFAULT_CAMERA_CONFIG,
+    ...config,
+  };
+  const preset = RESOLUTION_PRESETS.find((p) => p.id === resolution);
+  const size = preset?.width
+    ? { width: preset.width, height: preset.height }
+    : viewport;
+
+  return {
+    ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode }),
+    ...(size && {
+      width: { ideal: size.width },
+      height: { ideal: size.height },
+      aspectRatio: { ideal: size.width / size.height },
+    }),
+    ...(frameRate > 0 && { frameRate: { ideal: frameRate } }),
+  };
+}
+
+const STORAGE_KEY = "handcam.camera.v1";
+
+export function loadCameraConfig() {
+  const parsed = readJSON(STORAGE_KEY, {});
+  return {
+    ...DEFAULT_CAMERA_CONFIG,
+    ...(typeof parsed.deviceId === "string" &&
+      parsed.deviceId && { deviceId: parsed.deviceId }),
+    ...(Object.values(FACING_MODES).includes(parsed.facingMode) && {
+      facingMode: parsed.facingMode,
+    }),
+    ...(RESOLUTION_PRESETS.some((p) => p.id === parsed.resolution) && {
+      resolution: parsed.resolution,
+    }),
+    ...(FRAME_RATES.includes(parsed.frameRate) && {
+      frameRate: parsed.frameRate,
+    }),
+  };
+}
+
+export function saveCameraConfig(config) {
+  writeJSON(STORAGE_KEY, {
+    deviceId: config.deviceId,
+    facingMode: config.facingMode,
+    resolution: config.resolution,
+    frameRate: config.frameRate,
+  });
+}
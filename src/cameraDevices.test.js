@@ -0,0 +1,23 @@
+import { describe, expect, it } from "vitest";
+import { FACING_MODES, buildVideoConstraints } from "./cameraDevices";
+
+describe("buildVideoConstraints", () => {
+  it("asks for the front camera by default", () => {
+    expect(buildVideoConstraints({}).facingMode).toBe(FACING_MODES.FRONT);
+  });
+
+  it("asks for the back camera by facing", () => {
+    const constraints = buildVideoConstraints({ facingMode: FACING_MODES.BACK });
+    expect(constraints.facingMode).toBe(FACING_MODES.BACK);
+    expect(constraints.deviceId).toBeUndefined();
+  });
+
+  it("prefers a chosen device over the facing", () => {
+    const constraints = buildVideoConstraints({
+      deviceId: "cam-2",
+      facingMode: FACING_MODES.BACK,
+    });
+    expect(constraints.deviceId).toEqual({ exact: "cam-2" });
+    expect(constraints.facingMode).toBeUndefined();
+  });
+});
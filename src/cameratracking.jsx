@@ -1,72 +1,291 @@
 ﻿import { useEffect, useMemo, useRef, useState } from "react";
-import * as tf from "@tensorflow/tfjs-core";
-import "@tensorflow/tfjs-backend-webgl";
-import * as handPoseDetection from "@tensorflow-models/hand-pose-detection";
+import { DEFAULT_THRESHOLDS, classifyGesture, measureHand } from "./gestures";
+import {
+  ACTIONS,
+  DEFAULT_BINDINGS,
+  GALLERY_BINDINGS,
+  resolveBinding,
+} from "./bindings";
+import { createReplayDetector } from "./landmarkSession";
+import { DEFAULT_DETECTOR_CONFIG, RUNTIME_LABELS } from "./detectors";
+import { createPreferredHandDetector } from "./workerDetector";
+import {
+  FLASH_MODES,
+  cropToAspect,
+  supportsStillCapture,
+  takeStill,
+} from "./stillCapture";
+import {
+  DEFAULT_CAMERA_CONFIG,
+  buildVideoConstraints,
+  isRearCamera,
+  listCameras,
+} from "./cameraDevices";
+import {
+  DEFAULT_SMOOTHING,
+  createKeypointInterpolator,
+  createLandmarkSmoother,
+} from "./smoothing";
+import { createHandTracker } from "./handTracker";
+import { createCalibrationSession } from "./calibration";
+import {
+  createCountdown,
+  createGestureTrigger,
+  dispatchAction,
+} from "./gestureTrigger";
+import { drawStickers } from "./stickers";
+import { drawHandOverlay, handLabel } from "./handOverlay";
+import { createAirDrawing, isDrawingGesture } from "./airDrawing";
+import {
+  createInferenceScheduler,
+  scalePredictions,
+} from "./inferenceScheduler";
+import {
+  DEFAULT_FILTER,
+  FILTERS,
+  applyFilterToCanvas,
+  drawVignette,
+  getFilter,
+  previewFilterCss,
+  svgFilterId,
+} from "./filters";
+import { createCaptureMetadata, describeHands } from "./captureMetadata";
+import { createClipRecorder, isClipRecordingSupported } from "./clipRecorder";
+import {
+  BOOMERANG_FORMATS,
+  BOOMERANG_FPS,
+  createFrameGrabber,
+  encodeBoomerang,
+} from "./boomerang";
 import "./CameraTracking.css";
 
-function dist(a, b) {
-  const dx = a.x - b.x;
-  const dy = a.y - b.y;
-  return Math.hypot(dx, dy);
+const CLIP_FPS = 30;
+// one-off notices over the preview hide themselves after this long
+const NOTICE_MS = 6000;
+
+function formatMs(value) {
+  return value === null ? "–" : `${Math.round(value)} ms`;
 }
 
-const CONNECTIONS = [
-  [0, 1],[1, 2],[2, 3],[3, 4],
-  [0, 5],[5, 6],[6, 7],[7, 8],
-  [0, 9],[9,10],[10,11],[11,12],
-  [0,13],[13,14],[14,15],[15,16],
-  [0,17],[17,18],[18,19],[19,20],
-  [5, 9],[9,13],[13,17],
-];
+function formatElapsed(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = seconds % 60;
+  return `${m}:${String(s).padStart(2, "0")}`;
+}
 
-export default function CameraTracking({ onCapture, onVideoRectChange }) {
+export default function CameraTracking({
+  onCapture,
+  onVideoRectChange,
+  onAction,
+  bindings = DEFAULT_BINDINGS,
+  recorder = null,
+  replaySession = null,
+  detectorConfig = DEFAULT_DETECTOR_CONFIG,
+  cameraConfig = DEFAULT_CAMERA_CONFIG,
+  onCamerasChange,
+  smoothing = DEFAULT_SMOOTHING,
+  gestureThresholds = DEFAULT_THRESHOLDS,
+  offerCalibration = false,
+  calibrationRequest = 0,
+  onCalibrationComplete,
+  onCalibrationSkip,
+  gestureHoldMs = 1000,
+  cooldownMs = 1200,
+  countdownSeconds = 3,
+  burstCount = 5,
+  burstIntervalMs = 250,
+  boomerangSeconds = 1.5,
+  boomerangFormat = BOOMERANG_FORMATS.GIF,
+  inferenceFps = 15,
+  adaptiveInference = true,
+  adaptiveResolution = false,
+  showPerfHud = false,
+  jpegQuality = 0.92,
+  mirror = true,
+  filter = DEFAULT_FILTER,
+  stickers = [],
+  recordOverlay = false,
+  captureOverlay = false,
+  fullResolutionPhotos = true,
+  photoFlash = FLASH_MODES.OFF,
+  redEyeReduction = false,
+  drawing = false,
+  galleryMode = false,
+  maxClipSeconds = 60,
+}) {
   const videoRef = useRef(null);
   const overlayRef = useRef(null);
+  const drawingCanvasRef = useRef(null);
   const captureCanvasRef = useRef(null);
+  const clipCanvasRef = useRef(null);
 
   const detectorRef = useRef(null);
   const rafRef = useRef(null);
   const videoSizeRef = useRef({ width: 1, height: 1 });
   const lastVideoRectRef = useRef(null);
   const reconfiguringCameraRef = useRef(false);
+  const reconfigurePendingRef = useRef(false);
   const stoppedRef = useRef(false);
   const startedRef = useRef(false);
   const [, setStatus] = useState("Initializing...");
   const [countdown, setCountdown] = useState(null);
+  const countdownShownRef = useRef(null);
+  // status text while a burst or boomerang is being shot
+  const [sequenceLabel, setSequenceLabel] = useState(null);
+  // whole seconds recorded, null when no clip is recording
+  const [recordingElapsed, setRecordingElapsed] = useState(null);
+  // { color, penDown } of the air drawing, shown while drawing mode is on
+  const [drawingUi, setDrawingUi] = useState(null);
+  // mirroring only makes sense for front cameras
+  const [rearCamera, setRearCamera] = useState(false);
+  const mirrored = mirror && !rearCamera;
+  // flash the filter name when it changes (not on mount)
+  const [prevFilter, setPrevFilter] = useState(filter);
+  const [filterToast, setFilterToast] = useState(null);
+  if (filter !== prevFilter) {
+    setPrevFilter(filter);
+    setFilterToast(filter);
+  }
   const [showStartGate, setShowStartGate] = useState(true);
   const [isStarting, setIsStarting] = useState(false);
   const [startError, setStartError] = useState("");
-
-  // tweakables
-  const OK_TOUCH_THRESHOLD = 0.34;
-  const INDEX_CURLED_MAX = 1.2;
-  const INDEX_CURLED_MIN = 0.2;
-  const THUMB_EXTENSION_MIN = 0.28;
-  const THREE_FINGERS_EXTENSION_MIN = 0.95;
-  const THREE_FINGERS_TO_CIRCLE_MIN = 0.45;
-  const FIST_GUARD_MIN = 0.9;
-  const GESTURE_HOLD_MS = 1000;
-  const COOLDOWN_MS = 1200;
-  const COUNTDOWN_SECONDS = 3;
-
-  // performance: inference throttle
-  const INFERENCE_FPS = 15; // try 10-20
-  const INFERENCE_INTERVAL_MS = Math.floor(1000 / INFERENCE_FPS);
-  const lastInferAtRef = useRef(0);
-
-  // keep latest predictions in refs (draw every frame from refs)
-  const lrPredRef = useRef({ left: null, right: null });
-  const pinchRef = useRef({ left: false, right: false });
-
-  // capture gating
-  const lastCaptureAtRef = useRef(0);
-  const pinchArmedRef = useRef({ left: true, right: true });
-  const holdSinceRef = useRef({ left: 0, right: 0 });
-
-  // countdown refs
-  const countdownActiveRef = useRef(false);
-  const countdownTimeoutsRef = useRef([]);
-  const pendingCaptureRef = useRef(false);
+  // { text, topic }: topic lets a later success clear the notice it reported
+  const [notice, setNotice] = useState(null);
+  // null | { offer: true } | calibration session snapshot
+  const [calibrationUi, setCalibrationUi] = useState(null);
+
+  // tweakables (props), read by the loop through a ref
+  const tunables = {
+    gestureHoldMs,
+    cooldownMs,
+    countdownSeconds,
+    burstCount,
+    burstIntervalMs,
+    boomerangSeconds,
+    boomerangFormat,
+    inferenceFps,
+    jpegQuality,
+    mirror: mirrored,
+    filter,
+    recordOverlay,
+    captureOverlay,
+    fullResolutionPhotos,
+    photoFlash,
+    redEyeReduction,
+    drawing,
+    galleryMode,
+    maxClipSeconds,
+  };
+  const tunablesRef = useRef(tunables);
+  useEffect(() => {
+    tunablesRef.current = tunables;
+  });
+  // inference timing; inferenceFps is the upper bound when adaptive
+  const schedulerRef = useRef(null);
+  if (schedulerRef.current === null) {
+    schedulerRef.current = createInferenceScheduler();
+  }
+  const inferringRef = useRef(false);
+  const inputCanvasRef = useRef(null);
+  // HUD snapshot, refreshed twice a second while the HUD is shown
+  const [perf, setPerf] = useState(null);
+  useEffect(() => {
+    schedulerRef.current.configure({
+      maxFps: inferenceFps,
+      adaptive: adaptiveInference,
+      adaptiveResolution,
+    });
+  }, [inferenceFps, adaptiveInference, adaptiveResolution]);
+  useEffect(() => {
+    if (!showPerfHud) return;
+    const id = setInterval(() => {
+      const detector = detectorRef.current;
+      setPerf({
+        ...schedulerRef.current.stats(performance.now()),
+        detector: !detector
+          ? "Loading..."
+          : detector.isReplay
+            ? "Landmark replay"
+            : [
+                RUNTIME_LABELS[detector.runtime] ?? detector.runtime,
+                detector.backend,
+                detector.inWorker ? "worker" : "main thread",
+              ]
+                .filter(Boolean)
+                .join(", "),
+      });
+    }, 500);
+    return () => clearInterval(id);
+  }, [showPerfHud]);
+
+  // keep latest tracked hands in refs (draw every frame from refs):
+  // [{ id, side, pred, gesture, action, holdMs }]
+  const handsRef = useRef([]);
+  const handTrackerRef = useRef(null);
+  const overlayVisibleRef = useRef(true);
+  // air drawing strokes survive toggling the mode; painted version per canvas
+  const airDrawingRef = useRef(null);
+  const paintedDrawingRef = useRef(null);
+
+  // the loop runs from the first render's closure, so read props through refs
+  const bindingsRef = useRef(bindings);
+  const onActionRef = useRef(onAction);
+  const onCaptureRef = useRef(onCapture);
+  const cameraConfigRef = useRef(cameraConfig);
+  const onCamerasChangeRef = useRef(onCamerasChange);
+  const recorderRef = useRef(recorder);
+  const stickersRef = useRef(stickers);
+  const smoothingRef = useRef(smoothing);
+  const smootherRef = useRef(null);
+  const interpolatorRef = useRef(null);
+  const thresholdsRef = useRef(gestureThresholds);
+  const onCalibrationCompleteRef = useRef(onCalibrationComplete);
+  const calibrationSessionRef = useRef(null);
+  const calibrationRequestedRef = useRef(false);
+  useEffect(() => {
+    bindingsRef.current = bindings;
+  }, [bindings]);
+  useEffect(() => {
+    onActionRef.current = onAction;
+  }, [onAction]);
+  useEffect(() => {
+    onCaptureRef.current = onCapture;
+  }, [onCapture]);
+  useEffect(() => {
+    cameraConfigRef.current = cameraConfig;
+  }, [cameraConfig]);
+  useEffect(() => {
+    onCamerasChangeRef.current = onCamerasChange;
+  }, [onCamerasChange]);
+  useEffect(() => {
+    recorderRef.current = recorder;
+  }, [recorder]);
+  useEffect(() => {
+    stickersRef.current = stickers;
+  }, [stickers]);
+  useEffect(() => {
+    thresholdsRef.current = gestureThresholds;
+  }, [gestureThresholds]);
+  useEffect(() => {
+    onCalibrationCompleteRef.current = onCalibrationComplete;
+  }, [onCalibrationComplete]);
+  useEffect(() => {
+    smoothingRef.current = smoothing;
+    smootherRef.current = createLandmarkSmoother(smoothing);
+    interpolatorRef.current = createKeypointInterpolator();
+  }, [smoothing]);
+
+  // hold/cooldown gating and the capture countdown, ticked by the loop
+  const triggerRef = useRef(null);
+  const countdownRef = useRef(null);
+  if (triggerRef.current === null) {
+    triggerRef.current = createGestureTrigger();
+    countdownRef.current = createCountdown();
+  }
+  const sequenceActiveRef = useRef(false);
+  const sequenceTimeoutsRef = useRef([]);
+  // { recorder, stream, trigger, device, settings, elapsed } while recording
+  const clipRef = useRef(null);
 
   const supportsMedia = useMemo(() => {
     return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
@@ -80,59 +299,80 @@ export default function CameraTracking({ onCapture, onVideoRectChange }) {
   }, []);
   const isSecureContext = typeof window === "undefined" ? true : window.isSecureContext;
 
-  function clearCountdownTimers() {
-    countdownTimeoutsRef.current.forEach((id) => clearTimeout(id));
-    countdownTimeoutsRef.current = [];
+  function stopSequence() {
+    sequenceTimeoutsRef.current.forEach((id) => clearTimeout(id));
+    sequenceTimeoutsRef.current = [];
+    sequenceActiveRef.current = false;
+    setSequenceLabel(null);
+  }
+
+  // Notices dismiss themselves, on tap, or when their topic next succeeds.
+  function showNotice(text, topic = null) {
+    setNotice({ text, topic });
+  }
+
+  function clearNotice(topic) {
+    setNotice((prev) => (prev?.topic === topic ? null : prev));
   }
 
+  useEffect(() => {
+    if (!notice) return;
+    const id = setTimeout(() => setNotice(null), NOTICE_MS);
+    return () => clearTimeout(id);
+  }, [notice]);
+
   function cancelCountdown() {
-    clearCountdownTimers();
-    countdownActiveRef.current = false;
-    pendingCaptureRef.current = false;
+    countdownRef.current.cancel();
+    countdownShownRef.current = null;
     setCountdown(null);
+    stopSequence();
   }
 
-  function buildViewportVideoConstraints() {
-    const viewportWidth = Math.max(
-      1,
-      Math.round(window.innerWidth * (window.devicePixelRatio || 1))
-    );
-    const viewportHeight = Math.max(
-      1,
-      Math.round(window.innerHeight * (window.devicePixelRatio || 1))
-    );
+  function isCapturing() {
+    return countdownRef.current.active || sequenceActiveRef.current;
+  }
 
+  function viewportSize() {
     return {
-      facingMode: "user",
-      width: { ideal: viewportWidth },
-      height: { ideal: viewportHeight },
-      aspectRatio: { ideal: viewportWidth / viewportHeight },
+      width: Math.max(
+        1,
+        Math.round(window.innerWidth * (window.devicePixelRatio || 1))
+      ),
+      height: Math.max(
+        1,
+        Math.round(window.innerHeight * (window.devicePixelRatio || 1))
+      ),
     };
   }
 
+  // Chosen device, resolution and frame rate. With "auto" resolution, mobile
+  // lets the browser choose the native/default camera resolution and
+  // desktop/tablet prefers viewport-like sizing.
   function buildPreferredVideoConstraints() {
-    // On mobile, let browser choose native/default camera resolution.
-    if (isMobileDevice) {
-      return { facingMode: "user" };
-    }
-
-    // On desktop/tablet, prefer viewport-like sizing.
-    return buildViewportVideoConstraints();
+    return buildVideoConstraints(
+      cameraConfigRef.current,
+      isMobileDevice ? null : viewportSize()
+    );
   }
 
   async function getCameraAccess() {
     const preferredConstraints = buildPreferredVideoConstraints();
 
     try {
-      return await navigator.mediaDevices.getUserMedia({
+      const stream = await navigator.mediaDevices.getUserMedia({
         video: preferredConstraints,
         audio: false,
       });
-    } catch (primaryError) {
-      // Fallback constraints for devices that do better with explicit front camera hints.
+      clearNotice("camera");
+      return stream;
+    } catch {
+      if (cameraConfigRef.current.deviceId) {
+        showNotice("Selected camera unavailable, using the default camera.", "camera");
+      }
+      // Fallback constraints for devices that do better with explicit facing hints.
       try {
         return await navigator.mediaDevices.getUserMedia({
-          video: { facingMode: "user" },
+          video: { facingMode: cameraConfigRef.current.facingMode ?? "user" },
           audio: false,
         });
       } catch {
@@ -142,14 +382,14 @@ export default function CameraTracking({ onCapture, onVideoRectChange }) {
   }
 
   async function applyViewportConstraintsToActiveTrack() {
-    if (isMobileDevice) return;
+    if (isMobileDevice || cameraConfigRef.current.resolution !== "auto") return;
 
     const stream = videoRef.current?.srcObject;
     const track = stream?.getVideoTracks?.()[0];
     if (!track?.applyConstraints) return;
 
     try {
-      await track.applyConstraints(buildViewportVideoConstraints());
+      await track.applyConstraints(buildPreferredVideoConstraints());
     } catch {
       // Ignore resize/orientation constraint failures; existing stream remains usable.
     }
@@ -167,8 +407,26 @@ export default function CameraTracking({ onCapture, onVideoRectChange }) {
 
     await video.play();
 
-    const w = video.videoWidth;
-    const h = video.videoHeight;
+    applyVideoSize(video.videoWidth, video.videoHeight);
+    setRearCamera(isRearCamera(stream.getVideoTracks()[0]));
+    refreshCameras();
+    setStatus("Camera ready");
+  }
+
+  // Device labels are only exposed once camera access has been granted.
+  function refreshCameras() {
+    const track = videoRef.current?.srcObject?.getVideoTracks?.()[0];
+    listCameras()
+      .then((cameras) =>
+        onCamerasChangeRef.current?.(
+          cameras,
+          track?.getSettings?.().deviceId ?? null
+        )
+      )
+      .catch((e) => console.warn("Listing cameras failed:", e));
+  }
+
+  function applyVideoSize(w, h) {
     videoSizeRef.current = { width: w, height: h };
     overlayRef.current.width = w;
     overlayRef.current.height = h;
@@ -176,11 +434,30 @@ export default function CameraTracking({ onCapture, onVideoRectChange }) {
     captureCanvasRef.current.width = w;
     captureCanvasRef.current.height = h;
 
-    setStatus("Camera ready");
+    clipCanvasRef.current.width = w;
+    clipCanvasRef.current.height = h;
+
+    drawingCanvasRef.current.width = w;
+    drawingCanvasRef.current.height = h;
+    paintedDrawingRef.current = null;
+  }
+
+  // Camera-free mode: recorded landmarks stand in for both camera and model.
+  function setupReplay(session) {
+    const detector = createReplayDetector(session, { loop: true });
+    const size = detector.video || { width: 640, height: 480 };
+    applyVideoSize(size.width, size.height);
+    detectorRef.current = detector;
+    setStatus("Replaying landmark session");
   }
 
   async function reconfigureCameraForViewport() {
-    if (!startedRef.current || reconfiguringCameraRef.current) return;
+    if (!startedRef.current) return;
+    // changes made meanwhile are applied (with the latest config) afterwards
+    if (reconfiguringCameraRef.current) {
+      reconfigurePendingRef.current = true;
+      return;
+    }
     reconfiguringCameraRef.current = true;
 
     try {
@@ -199,167 +476,517 @@ export default function CameraTracking({ onCapture, onVideoRectChange }) {
     } finally {
       reconfiguringCameraRef.current = false;
     }
+    if (reconfigurePendingRef.current && !stoppedRef.current) {
+      reconfigurePendingRef.current = false;
+      reconfigureCameraForViewport();
+    }
   }
 
   async function setupModel() {
     setStatus("Loading modelâ€¦");
-    await tf.setBackend("webgl");
-    await tf.ready();
-
-    const model = handPoseDetection.SupportedModels.MediaPipeHands;
-    const detectorConfig = {
-      runtime: "mediapipe",
-      modelType: "lite",
-      maxHands: 2,
-      solutionPath: "https://cdn.jsdelivr.net/npm/@mediapipe/hands",
+    detectorRef.current = await createPreferredHandDetector(detectorConfig, {
+      onFallback: (runtime) =>
+        showNotice(
+          `${RUNTIME_LABELS[detectorConfig.runtime]} unavailable, using ${RUNTIME_LABELS[runtime]}.`
+        ),
+      onWorkerFallback: () =>
+        showNotice("Background detection unavailable, detecting on the main thread."),
+    });
+
+    setStatus("Model loaded");
+  }
+
+  // Snapshot of what triggered a capture, taken when the gesture fires rather
+  // than when the countdown ends.
+  function describeTrigger(action, context) {
+    return {
+      action,
+      side: context?.side ?? null,
+      gesture: context?.gesture ?? null,
+      confidence: context?.confidence ?? null,
+      trackId: context?.trackId ?? null,
+      triggeredAt: new Date().toISOString(),
+      hands: describeHands(handsRef.current),
     };
+  }
 
-    detectorRef.current = await handPoseDetection.createDetector(
-      model,
-      detectorConfig
-    );
+  function describeDevice() {
+    if (detectorRef.current?.isReplay) return { label: "Landmark replay" };
+    const track = videoRef.current?.srcObject?.getVideoTracks?.()[0];
+    if (!track) return null;
+    const { facingMode, frameRate } = track.getSettings?.() ?? {};
+    return {
+      label: track.label || null,
+      facingMode: facingMode ?? null,
+      frameRate: frameRate ?? null,
+    };
+  }
 
-    setStatus("Model loaded");
+  function describeSettings() {
+    const {
+      gestureHoldMs,
+      cooldownMs,
+      countdownSeconds,
+      inferenceFps,
+      jpegQuality,
+      mirror,
+      filter,
+      captureOverlay,
+    } = tunablesRef.current;
+    const detector = detectorRef.current;
+
+    return {
+      gestureHoldMs,
+      cooldownMs,
+      countdownSeconds,
+      inferenceFps,
+      jpegQuality,
+      mirror,
+      filter,
+      captureOverlay,
+      detector: detector?.isReplay
+        ? { runtime: "replay" }
+        : {
+            runtime: detector?.runtime ?? null,
+            modelType: detector?.modelType ?? null,
+            maxHands: detector?.maxHands ?? null,
+            backend: detector?.backend ?? null,
+            inWorker: !!detector?.inWorker,
+          },
+      smoothing: smoothingRef.current,
+      thresholds: thresholdsRef.current,
+    };
   }
 
-  function captureFrame() {
-    const video = videoRef.current;
-    const canvas = captureCanvasRef.current;
+  // Single shots use a full-sensor still where ImageCapture is available;
+  // bursts (and everything else) grab the preview frame, which is immediate.
+  function captureFrame(trigger = null, burst = null) {
+    const { mirror, fullResolutionPhotos, photoFlash, redEyeReduction } =
+      tunablesRef.current;
+    const { width, height } = videoSizeRef.current;
+    const details = {
+      trigger,
+      // hand keypoints are in these (preview) pixels
+      video: { width, height, mirrored: mirror },
+      device: describeDevice(),
+      settings: describeSettings(),
+      hands: describeHands(handsRef.current),
+      ...(burst && { burst }),
+    };
+
+    const track = videoRef.current?.srcObject?.getVideoTracks?.()[0];
+    if (burst || !fullResolutionPhotos || !supportsStillCapture(track)) {
+      saveFrame(captureCanvasRef.current, videoRef.current, null, details);
+      return;
+    }
+
+    // the still arrives a moment later; its overlays are the ones shown now
+    const layers = snapshotHandLayers();
+    takeStill(track, { flash: photoFlash, redEyeReduction })
+      .then((still) => {
+        if (stoppedRef.current) {
+          still?.bitmap.close?.();
+          return;
+        }
+        if (!still) {
+          // the preview frame is grabbed now, so are its overlays
+          saveFrame(captureCanvasRef.current, videoRef.current, null, details);
+          return;
+        }
+
+        // framed like the preview so the overlay layers line up
+        const { bitmap, fillLightMode, redEyeReduction: redEye } = still;
+        const crop = cropToAspect(bitmap.width, bitmap.height, width / height);
+        const canvas = document.createElement("canvas");
+        canvas.width = crop.width;
+        canvas.height = crop.height;
+        saveFrame(
+          canvas,
+          bitmap,
+          crop,
+          {
+            ...details,
+            still: {
+              width: crop.width,
+              height: crop.height,
+              sensorWidth: bitmap.width,
+              sensorHeight: bitmap.height,
+              fillLightMode,
+              redEyeReduction: redEye,
+            },
+          },
+          layers
+        );
+        bitmap.close?.();
+        clearNotice("still");
+      })
+      .catch((err) => {
+        if (stoppedRef.current) return;
+        console.error("Full-resolution still failed:", err);
+        saveFrame(captureCanvasRef.current, videoRef.current, null, details);
+        showNotice(
+          "Full-resolution photo failed, saved the preview frame instead.",
+          "still"
+        );
+      });
+  }
+
+  // Draws source (cropped to `crop` when given) into canvas with the mirror,
+  // filter and hand layers (current ones unless `layers` is a
+  // snapshotHandLayers() result), then hands the JPEG to onCapture.
+  function saveFrame(canvas, source, crop, details, layers) {
     const ctx = canvas.getContext("2d");
+    const { jpegQuality, mirror, filter } = tunablesRef.current;
+    const metadata = createCaptureMetadata(details);
 
     ctx.save();
-    ctx.translate(canvas.width, 0);
-    ctx.scale(-1, 1);
-    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    if (mirror) {
+      ctx.translate(canvas.width, 0);
+      ctx.scale(-1, 1);
+    }
+    if (crop) {
+      ctx.drawImage(
+        source,
+        crop.x,
+        crop.y,
+        crop.width,
+        crop.height,
+        0,
+        0,
+        canvas.width,
+        canvas.height
+      );
+    } else {
+      ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    }
     ctx.restore();
+    applyFilterToCanvas(ctx, canvas.width, canvas.height, filter);
+    drawHandLayers(ctx, canvas.width, canvas.height, {
+      skeleton: tunablesRef.current.captureOverlay,
+      layers,
+    });
 
-    const dataUrl = canvas.toDataURL("image/jpeg", 0.92);
-    onCapture?.(dataUrl);
-  }
-
-  function computePinch(pred) {
-    const kp = pred?.keypoints;
-    if (!kp || kp.length < 21) return false;
-
-    const thumbTip = kp[4];
-    const thumbMcp = kp[2];
-    const indexTip = kp[8];
-    const indexMcp = kp[5];
-    const middleTip = kp[12];
-    const middleMcp = kp[9];
-    const middlePip = kp[10];
-    const ringTip = kp[16];
-    const ringMcp = kp[13];
-    const ringPip = kp[14];
-    const pinkyTip = kp[20];
-    const pinkyMcp = kp[17];
-    const pinkyPip = kp[18];
-    const wrist = kp[0];
-
-    const pinchDistance = dist(thumbTip, indexTip);
-    const handScale = Math.max(dist(wrist, middleMcp), 1);
-    const touchRatio = pinchDistance / handScale;
-
-    const indexCurlRatio = dist(indexTip, indexMcp) / handScale;
-    const thumbExtensionRatio = dist(thumbTip, thumbMcp) / handScale;
-
-    const middleExt = dist(middleTip, middleMcp) / handScale;
-    const ringExt = dist(ringTip, ringMcp) / handScale;
-    const pinkyExt = dist(pinkyTip, pinkyMcp) / handScale;
-
-    const circleCenter = {
-      x: (thumbTip.x + indexTip.x) / 2,
-      y: (thumbTip.y + indexTip.y) / 2,
+    canvas.toBlob(
+      (blob) => {
+        if (blob) onCaptureRef.current?.(blob, metadata);
+      },
+      "image/jpeg",
+      jpegQuality
+    );
+  }
+
+  // Clips are recorded from a canvas so they match the mirrored, filtered
+  // preview and can include the overlay. Per-pixel filtering is too slow at
+  // display rate, so the SVG preview filter is reused through ctx.filter.
+  function drawClipFrame() {
+    const canvas = clipCanvasRef.current;
+    const ctx = canvas.getContext("2d");
+    const { width, height } = canvas;
+    const { mirror, filter, recordOverlay } = tunablesRef.current;
+    const flip = () => {
+      if (!mirror) return;
+      ctx.translate(width, 0);
+      ctx.scale(-1, 1);
     };
 
-    const middleAwayFromCircle = dist(middleTip, circleCenter) / handScale;
-    const ringAwayFromCircle = dist(ringTip, circleCenter) / handScale;
-    const pinkyAwayFromCircle = dist(pinkyTip, circleCenter) / handScale;
-    const awayAvg =
-      (middleAwayFromCircle + ringAwayFromCircle + pinkyAwayFromCircle) / 3;
-
-    // Orientation-tolerant extension check:
-    // a finger is considered "open" when tip is farther from wrist than its PIP.
-    const isMiddleOpen = dist(middleTip, wrist) > dist(middlePip, wrist) * 1.08;
-    const isRingOpen = dist(ringTip, wrist) > dist(ringPip, wrist) * 1.08;
-    const isPinkyOpen = dist(pinkyTip, wrist) > dist(pinkyPip, wrist) * 1.08;
-    const openCount = Number(isMiddleOpen) + Number(isRingOpen) + Number(isPinkyOpen);
-
-    const avgTipToWrist =
-      (dist(middleTip, wrist) + dist(ringTip, wrist) + dist(pinkyTip, wrist)) / 3;
-    const notFistLike = avgTipToWrist / handScale > FIST_GUARD_MIN;
-    const threeFingersAvgExt = (middleExt + ringExt + pinkyExt) / 3;
-
-    // Strict OK sign
-    const strictOk =
-      touchRatio < OK_TOUCH_THRESHOLD &&
-      indexCurlRatio > INDEX_CURLED_MIN &&
-      indexCurlRatio < INDEX_CURLED_MAX &&
-      thumbExtensionRatio > THUMB_EXTENSION_MIN &&
-      openCount >= 2 &&
-      awayAvg > THREE_FINGERS_TO_CIRCLE_MIN &&
-      notFistLike;
-
-    // Moderate OK sign fallback (still rejects pinch/fist):
-    // - touch must be close
-    // - middle+ring+pinky should generally be farther from wrist than index
-    // - not fist-like
-    const moderateOk =
-      touchRatio < OK_TOUCH_THRESHOLD * 1.08 &&
-      thumbExtensionRatio > THUMB_EXTENSION_MIN * 0.9 &&
-      threeFingersAvgExt > indexCurlRatio + 0.1 &&
-      (threeFingersAvgExt > 0.9 || openCount >= 2) &&
-      awayAvg > THREE_FINGERS_TO_CIRCLE_MIN * 0.9 &&
-      notFistLike;
-
-    return strictOk || moderateOk;
-  }
-
-  function labelHandsLeftRight(predictions) {
-    const hands = (predictions || [])
-      .map((pred) => {
-        const wrist = pred?.keypoints?.[0];
-        return { pred, wristX: wrist?.x ?? Number.POSITIVE_INFINITY };
-      })
-      .filter((h) => h.pred?.keypoints?.length);
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.save();
+    flip();
+    ctx.filter = previewFilterCss(filter);
+    ctx.drawImage(videoRef.current, 0, 0, width, height);
+    ctx.restore();
+    drawVignette(ctx, width, height, getFilter(filter).vignette);
+
+    if (recordOverlay) {
+      // the overlay canvases already carry the drawing and stickers
+      ctx.save();
+      flip();
+      ctx.drawImage(drawingCanvasRef.current, 0, 0, width, height);
+      ctx.drawImage(overlayRef.current, 0, 0, width, height);
+      ctx.restore();
+    } else {
+      drawHandLayers(ctx, width, height);
+    }
+  }
 
-    hands.sort((a, b) => a.wristX - b.wristX);
+  function startClip(trigger) {
+    if (!isClipRecordingSupported()) {
+      showNotice("Clip recording isn't supported in this browser.", "recording");
+      return;
+    }
 
-    return {
-      left: hands[0]?.pred ?? null,
-      right: hands[1]?.pred ?? null,
-    };
+    drawClipFrame();
+    try {
+      const stream = clipCanvasRef.current.captureStream(CLIP_FPS);
+      const recorder = createClipRecorder(stream);
+      recorder.start();
+      clipRef.current = {
+        recorder,
+        stream,
+        trigger,
+        device: describeDevice(),
+        settings: describeSettings(),
+        elapsed: 0,
+      };
+      setRecordingElapsed(0);
+      clearNotice("recording");
+    } catch (e) {
+      console.error("Clip recording failed to start:", e);
+      showNotice("Could not start recording.", "recording");
+    }
+  }
+
+  async function stopClip() {
+    const clip = clipRef.current;
+    if (!clip) return;
+    clipRef.current = null;
+    setRecordingElapsed(null);
+
+    const durationMs = Math.round(performance.now() - clip.recorder.startedAt);
+    try {
+      const blob = await clip.recorder.stop();
+      if (!blob.size) return;
+      const canvas = clipCanvasRef.current;
+      const { mirror } = tunablesRef.current;
+      onCaptureRef.current?.(
+        blob,
+        createCaptureMetadata({
+          trigger: clip.trigger,
+          video: { width: canvas.width, height: canvas.height, mirrored: mirror },
+          device: clip.device,
+          settings: clip.settings,
+          clip: { durationMs, mimeType: blob.type },
+        })
+      );
+      clearNotice("recording");
+    } catch (e) {
+      console.error("Clip recording failed:", e);
+      showNotice("Recording failed.", "recording");
+    } finally {
+      clip.stream.getTracks().forEach((t) => t.stop());
+    }
   }
 
-  function startCountdownAndCapture() {
-    if (countdownActiveRef.current) return;
+  function updateClip() {
+    const clip = clipRef.current;
+    if (!clip) return;
+
+    drawClipFrame();
+    const elapsed = Math.floor((performance.now() - clip.recorder.startedAt) / 1000);
+    if (elapsed >= tunablesRef.current.maxClipSeconds) {
+      stopClip();
+    } else if (elapsed !== clip.elapsed) {
+      clip.elapsed = elapsed;
+      setRecordingElapsed(elapsed);
+    }
+  }
 
-    countdownActiveRef.current = true;
-    pendingCaptureRef.current = true;
+  function computeGesture(pred) {
+    return classifyGesture(pred?.keypoints, {
+      thresholds: thresholdsRef.current,
+    });
+  }
 
-    setCountdown(COUNTDOWN_SECONDS);
-    clearCountdownTimers();
+  function beginCalibration() {
+    cancelCountdown();
+    calibrationSessionRef.current = createCalibrationSession();
+    setCalibrationUi(calibrationSessionRef.current.update(null, performance.now()));
+  }
 
-    for (let i = 1; i <= COUNTDOWN_SECONDS; i++) {
-      const remaining = COUNTDOWN_SECONDS - i;
-      const id = setTimeout(() => {
-        if (!countdownActiveRef.current) return;
+  function skipCalibration() {
+    calibrationSessionRef.current = null;
+    setCalibrationUi(null);
+    onCalibrationSkip?.();
+  }
 
-        if (remaining > 0) {
-          setCountdown(remaining);
-        } else {
-          setCountdown(null);
-          countdownActiveRef.current = false;
+  // Measures the most prominent hand for the running calibration step.
+  function stepCalibration(hands, now) {
+    const session = calibrationSessionRef.current;
+    let main = null;
+    let mainHand = null;
+    for (const hand of hands) {
+      const features = measureHand(hand.pred.keypoints);
+      if (features && (!main || features.handScale > main.handScale)) {
+        main = features;
+        mainHand = hand;
+      }
+    }
+
+    // default thresholds, so a bad saved profile can't block recalibrating
+    const gesture = mainHand
+      ? classifyGesture(mainHand.pred.keypoints).name
+      : null;
+    const snapshot = session.update(main, now, gesture);
+    if (snapshot.done) {
+      calibrationSessionRef.current = null;
+      setCalibrationUi(null);
+      onCalibrationCompleteRef.current?.({
+        thresholds: snapshot.thresholds,
+        createdAt: new Date().toISOString(),
+      });
+    } else {
+      setCalibrationUi(snapshot);
+    }
+  }
+
+  // Assigns stable track ids, then smooths keypoints before both drawing and
+  // classification and feeds the interpolator the overlay samples between ticks.
+  function trackHands(predictions, now) {
+    if (!handTrackerRef.current) handTrackerRef.current = createHandTracker();
+    const smoother = smootherRef.current;
+    const interpolator = interpolatorRef.current;
+
+    const tracks = handTrackerRef.current.update(
+      predictions,
+      now,
+      videoSizeRef.current.width
+    );
+    const ids = tracks.map((t) => t.id);
+    smoother?.retain(ids);
+    interpolator?.retain(ids);
+
+    return tracks.map((track) => {
+      const keypoints = smoother
+        ? smoother.smooth(track.id, track.pred.keypoints, now)
+        : track.pred.keypoints;
+      interpolator?.push(track.id, keypoints, now);
+
+      const pred = { ...track.pred, keypoints };
+      const gesture = computeGesture(pred);
+      const binding = resolveBinding(activeBindings(), track.side, gesture.name);
+      return {
+        id: track.id,
+        side: track.side,
+        pred,
+        gesture,
+        action: binding?.action ?? null,
+        holdMs: binding?.holdMs ?? null,
+      };
+    });
+  }
+
+  // While the gallery is open, gestures drive it instead of the camera.
+  function activeBindings() {
+    return tunablesRef.current.galleryMode
+      ? GALLERY_BINDINGS
+      : bindingsRef.current;
+  }
 
-          if (pendingCaptureRef.current) {
-            pendingCaptureRef.current = false;
-            captureFrame();
-          }
+  // burstCount frames, burstIntervalMs apart, sharing one burst id so the
+  // gallery can stack them.
+  function captureBurst(trigger = null) {
+    const { burstCount, burstIntervalMs } = tunablesRef.current;
+    const id = `burst-${Date.now()}`;
+
+    stopSequence();
+    sequenceActiveRef.current = true;
+
+    for (let index = 0; index < burstCount; index++) {
+      const timeoutId = setTimeout(() => {
+        if (!sequenceActiveRef.current) return;
+        setSequenceLabel(`Burst ${index + 1} / ${burstCount}`);
+        captureFrame(trigger, { id, index, count: burstCount });
+        if (index === burstCount - 1) {
+          // leave the last counter up briefly
+          sequenceTimeoutsRef.current.push(setTimeout(stopSequence, 400));
         }
-      }, i * 1000);
+      }, index * burstIntervalMs);
+      sequenceTimeoutsRef.current.push(timeoutId);
+    }
+  }
+
+  // Grabs boomerangSeconds of downscaled frames, then encodes them forward and
+  // backward into a single looping file.
+  function captureBoomerang(trigger = null) {
+    const { boomerangSeconds, boomerangFormat, mirror, filter } =
+      tunablesRef.current;
+    const { width, height } = videoSizeRef.current;
+    const grabber = createFrameGrabber(width, height, {
+      mirror,
+      filter,
+      decorate: (ctx) =>
+        drawHandLayers(ctx, width, height, {
+          skeleton: tunablesRef.current.captureOverlay,
+        }),
+    });
+    const frameCount = Math.max(2, Math.round(boomerangSeconds * BOOMERANG_FPS));
+    const frames = [];
+    const device = describeDevice();
+    const settings = describeSettings();
 
-      countdownTimeoutsRef.current.push(id);
+    async function finish() {
+      setSequenceLabel("Encoding boomerang...");
+      try {
+        const { blob, thumbnail, format } = await encodeBoomerang(frames, {
+          format: boomerangFormat,
+          fps: BOOMERANG_FPS,
+        });
+        const metadata = createCaptureMetadata({
+          trigger,
+          video: {
+            width: frames[0].width,
+            height: frames[0].height,
+            mirrored: mirror,
+          },
+          device,
+          settings,
+          boomerang: {
+            format,
+            fps: BOOMERANG_FPS,
+            frameCount: frames.length,
+            durationMs: Math.round((frameCount * 1000) / BOOMERANG_FPS),
+          },
+        });
+        onCaptureRef.current?.(blob, metadata, { thumbnail });
+        clearNotice("boomerang");
+      } catch (e) {
+        console.error("Boomerang encoding failed:", e);
+        showNotice("Could not create the boomerang.", "boomerang");
+      } finally {
+        stopSequence();
+      }
+    }
+
+    stopSequence();
+    sequenceActiveRef.current = true;
+    setSequenceLabel("Boomerang");
+
+    for (let index = 0; index < frameCount; index++) {
+      const timeoutId = setTimeout(() => {
+        if (!sequenceActiveRef.current) return;
+        frames.push(grabber.grab(videoRef.current));
+        if (frames.length === frameCount) finish();
+      }, (index * 1000) / BOOMERANG_FPS);
+      sequenceTimeoutsRef.current.push(timeoutId);
+    }
+  }
+
+  function startCountdownAndCapture(trigger = null, shoot = captureFrame) {
+    if (isCapturing()) return;
+
+    const { countdownSeconds } = tunablesRef.current;
+    if (countdownSeconds <= 0) {
+      shoot(trigger);
+      return;
+    }
+
+    countdownRef.current.start(countdownSeconds, performance.now(), {
+      trigger,
+      shoot,
+    });
+    countdownShownRef.current = countdownSeconds;
+    setCountdown(countdownSeconds);
+  }
+
+  function tickCountdown(now) {
+    const { remaining, done, payload } = countdownRef.current.tick(now);
+    if (remaining !== countdownShownRef.current) {
+      countdownShownRef.current = remaining;
+      setCountdown(remaining);
     }
+    if (done) payload.shoot(payload.trigger);
   }
 
   function maybeEmitVideoRect() {
@@ -411,44 +1038,6 @@ export default function CameraTracking({ onCapture, onVideoRectChange }) {
     }
   }
 
-  function drawHand(ctx, pred, isPinching) {
-    const kp = pred?.keypoints;
-    if (!kp || kp.length < 21) return;
-
-    // skeleton
-    ctx.lineWidth = 3;
-    ctx.strokeStyle = "rgba(255,255,255,0.55)";
-    ctx.beginPath();
-    for (const [a, b] of CONNECTIONS) {
-      const pa = kp[a];
-      const pb = kp[b];
-      if (!pa || !pb) continue;
-      ctx.moveTo(pa.x, pa.y);
-      ctx.lineTo(pb.x, pb.y);
-    }
-    ctx.stroke();
-
-    // points
-    for (const p of kp) {
-      ctx.beginPath();
-      ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
-      ctx.fillStyle = "rgba(106,166,255,0.9)";
-      ctx.fill();
-    }
-
-    // thumb-index line
-    const thumbTip = kp[4];
-    const indexTip = kp[8];
-    ctx.beginPath();
-    ctx.moveTo(thumbTip.x, thumbTip.y);
-    ctx.lineTo(indexTip.x, indexTip.y);
-    ctx.lineWidth = 5;
-    ctx.strokeStyle = isPinching
-      ? "rgba(0,255,140,0.95)"
-      : "rgba(255,255,255,0.35)";
-    ctx.stroke();
-  }
-
   function drawOverlay() {
     const canvas = overlayRef.current;
     const ctx = canvas.getContext("2d");
@@ -464,102 +1053,295 @@ export default function CameraTracking({ onCapture, onVideoRectChange }) {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     maybeEmitVideoRect();
 
-    const lr = lrPredRef.current;
-    const pinchBySide = pinchRef.current;
+    const hands = displayedHands();
+    drawStickers(
+      ctx,
+      hands.map((h) => h.keypoints),
+      stickersRef.current,
+      { mirrored: tunablesRef.current.mirror }
+    );
+    activeAirDrawing()?.drawCursor(
+      ctx,
+      hands.map((h) => ({ keypoints: h.keypoints }))
+    );
 
-    if (lr.left) drawHand(ctx, lr.left, pinchBySide.left);
-    if (lr.right) drawHand(ctx, lr.right, pinchBySide.right);
+    if (!overlayVisibleRef.current) return;
+    drawHandOverlay(ctx, overlayHands(hands), {
+      mirrored: tunablesRef.current.mirror,
+    });
   }
 
-  async function loop() {
-    const detector = detectorRef.current;
-    const video = videoRef.current;
+  function overlayHands(hands) {
+    return hands.map(({ hand, keypoints }) => ({
+      keypoints,
+      label: handLabel(hand.side, hand.gesture?.name),
+      active: !!hand.action,
+    }));
+  }
 
-    // always draw at display rate (smooth UI),
-    // but throttle model inference (smooth performance)
-    if (detector && video && video.readyState >= 2) {
-      const now = performance.now();
-      const shouldInfer = now - lastInferAtRef.current >= INFERENCE_INTERVAL_MS;
+  // Tracked hands with the keypoints as currently drawn (interpolated when
+  // enabled), so captures match the preview.
+  function displayedHands() {
+    const interpolator = smoothingRef.current.interpolate
+      ? interpolatorRef.current
+      : null;
+    const now = performance.now();
+
+    return handsRef.current.map((hand) => ({
+      hand,
+      keypoints: interpolator?.sample(hand.id, now) ?? hand.pred.keypoints,
+    }));
+  }
 
-      if (shouldInfer) {
-        lastInferAtRef.current = now;
+  function activeAirDrawing() {
+    if (!tunablesRef.current.drawing) return null;
+    if (!airDrawingRef.current) airDrawingRef.current = createAirDrawing();
+    return airDrawingRef.current;
+  }
 
-        const predictions = await detector.estimateHands(video, {
-          // Mirror is handled in CSS on both video + overlay for consistent
-          // mobile behavior. Keep model coordinates in source space.
-          flipHorizontal: false,
-        });
+  // The strokes live on their own canvas, repainted only when they change.
+  function paintAirDrawing() {
+    const canvas = drawingCanvasRef.current;
+    if (!canvas) return;
+    const airDrawing = activeAirDrawing();
+    const painted = airDrawing ? airDrawing.version : null;
+    if (painted === paintedDrawingRef.current) return;
+    paintedDrawingRef.current = painted;
 
-        const lr = labelHandsLeftRight(predictions);
-        lrPredRef.current = lr;
-
-        const nextPinch = {
-          left: lr.left ? computePinch(lr.left) : false,
-          right: lr.right ? computePinch(lr.right) : false,
-        };
-        pinchRef.current = nextPinch;
-
-        // capture trigger (edge + cooldown + no countdown)
-        const nowMs = Date.now();
-        const cooledDown = nowMs - lastCaptureAtRef.current > COOLDOWN_MS;
-
-        const tryTrigger = (side) => {
-          const isPinchNow = nextPinch[side];
-          const armed = pinchArmedRef.current[side];
-
-          if (!isPinchNow) {
-            pinchArmedRef.current[side] = true;
-            holdSinceRef.current[side] = 0;
-            return;
-          }
-
-          if (!holdSinceRef.current[side]) {
-            holdSinceRef.current[side] = nowMs;
-          }
-          const heldLongEnough =
-            nowMs - holdSinceRef.current[side] >= GESTURE_HOLD_MS;
-
-          if (
-            isPinchNow &&
-            armed &&
-            heldLongEnough &&
-            cooledDown &&
-            !countdownActiveRef.current
-          ) {
-            lastCaptureAtRef.current = nowMs;
-            pinchArmedRef.current[side] = false;
-            holdSinceRef.current[side] = 0;
-            startCountdownAndCapture();
-          }
-        };
-
-        tryTrigger("left");
-        tryTrigger("right");
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    airDrawing?.draw(ctx);
+  }
 
-      }
+  function updateAirDrawing(hands, now) {
+    const airDrawing = activeAirDrawing();
+    if (airDrawing) {
+      airDrawing.update(
+        hands.map((h) => ({
+          id: h.id,
+          keypoints: h.pred.keypoints,
+          gesture: h.gesture.name,
+        })),
+        now
+      );
+    }
+
+    const ui = airDrawing
+      ? { color: airDrawing.color, penDown: airDrawing.penDown }
+      : null;
+    setDrawingUi((prev) =>
+      prev?.color === ui?.color && prev?.penDown === ui?.penDown ? prev : ui
+    );
+  }
+
+  // What drawHandLayers draws. Hands and stickers are replaced, not mutated,
+  // so only the strokes need copying to freeze a snapshot.
+  function currentHandLayers() {
+    return {
+      hands: displayedHands(),
+      airDrawing: activeAirDrawing(),
+      stickers: stickersRef.current,
+      source: { ...videoSizeRef.current },
+    };
+  }
+
+  function snapshotHandLayers() {
+    const layers = currentHandLayers();
+    return { ...layers, airDrawing: layers.airDrawing?.snapshot() ?? null };
+  }
+
+  // Drawing, stickers (and optionally the skeleton) onto an output canvas
+  // that holds the (possibly mirrored) frame; width/height are its size.
+  // Draws the current layers unless a snapshotHandLayers() result is passed.
+  function drawHandLayers(
+    ctx,
+    width,
+    height,
+    { skeleton = false, layers = currentHandLayers() } = {}
+  ) {
+    const { hands, airDrawing, stickers, source } = layers;
+    if (!stickers.length && !skeleton && !airDrawing) return;
+    const { mirror } = tunablesRef.current;
+
+    ctx.save();
+    if (mirror) {
+      ctx.translate(width, 0);
+      ctx.scale(-1, 1);
+    }
+    ctx.scale(width / Math.max(1, source.width), height / Math.max(1, source.height));
+    airDrawing?.draw(ctx);
+    drawStickers(
+      ctx,
+      hands.map((h) => h.keypoints),
+      stickers,
+      { mirrored: mirror }
+    );
+    if (skeleton) {
+      drawHandOverlay(ctx, overlayHands(hands), { mirrored: mirror });
+    }
+    ctx.restore();
+  }
+
+  // Returns true when the action was consumed, so the gesture gets disarmed.
+  function runAction(action, context) {
+    return dispatchAction(action, context, {
+      isCapturing,
+      startCountdown: (action, context) =>
+        startCountdownAndCapture(
+          describeTrigger(action, context),
+          action === ACTIONS.START_BURST
+            ? captureBurst
+            : action === ACTIONS.START_BOOMERANG
+              ? captureBoomerang
+              : captureFrame
+        ),
+      captureNow: (action, context) =>
+        captureFrame(describeTrigger(action, context)),
+      cancelCountdown,
+      toggleRecording: (action, context) => {
+        if (clipRef.current) {
+          stopClip();
+        } else {
+          startClip(describeTrigger(action, context));
+        }
+      },
+      toggleOverlay: () => {
+        overlayVisibleRef.current = !overlayVisibleRef.current;
+      },
+      other: (action, context) => onActionRef.current?.(action, context),
+    });
+  }
+
+  function loop() {
+    const detector = detectorRef.current;
+    const video = videoRef.current;
+    const scheduler = schedulerRef.current;
+    const now = performance.now();
+    scheduler.recordFrame(now);
+
+    // always draw at display rate (smooth UI); inference runs alongside, one
+    // at a time, as often as the scheduler allows (smooth performance)
+    if (
+      detector &&
+      video &&
+      (detector.isReplay || video.readyState >= 2) &&
+      !inferringRef.current &&
+      scheduler.shouldInfer(now)
+    ) {
+      inferringRef.current = true;
+      runInference(detector, video, now)
+        .catch((e) => console.error("Hand inference failed:", e))
+        .finally(() => {
+          inferringRef.current = false;
+        });
     }
 
+    tickCountdown(now);
+
     // draw every frame using last predictions
+    paintAirDrawing();
     if (overlayRef.current) drawOverlay();
+    updateClip();
 
     rafRef.current = requestAnimationFrame(loop);
   }
 
+  // Downscaled copy of the frame when the scheduler lowers the input size.
+  function scaledInput(video, scale) {
+    if (scale === 1) return video;
+    if (!inputCanvasRef.current) {
+      inputCanvasRef.current = document.createElement("canvas");
+    }
+    const canvas = inputCanvasRef.current;
+    const width = Math.max(1, Math.round(videoSizeRef.current.width * scale));
+    const height = Math.max(1, Math.round(videoSizeRef.current.height * scale));
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    canvas.getContext("2d").drawImage(video, 0, 0, width, height);
+    return canvas;
+  }
+
+  async function runInference(detector, video, now) {
+    const scheduler = schedulerRef.current;
+    const scale = detector.isReplay ? 1 : scheduler.inputScale;
+    const startedAt = performance.now();
+    const raw = await detector.estimateHands(scaledInput(video, scale), {
+      // Mirror is handled in CSS on both video + overlay for consistent
+      // mobile behavior. Keep model coordinates in source space.
+      flipHorizontal: false,
+    });
+    const finishedAt = performance.now();
+    scheduler.recordInference(finishedAt - startedAt, finishedAt);
+    if (stoppedRef.current) return;
+
+    const predictions = scale === 1 ? raw : scalePredictions(raw, 1 / scale);
+    const { gestureHoldMs, cooldownMs } = tunablesRef.current;
+
+    const recorder = recorderRef.current;
+    if (recorder && !detector.isReplay) {
+      recorder.setVideoSize(
+        videoSizeRef.current.width,
+        videoSizeRef.current.height
+      );
+      recorder.record(predictions, now);
+    }
+
+    const hands = trackHands(predictions, now);
+    handsRef.current = hands;
+
+    if (calibrationSessionRef.current) {
+      // no gesture actions while the user is holding calibration poses
+      stepCalibration(hands, now);
+      triggerRef.current.reset();
+    } else {
+      const { galleryMode } = tunablesRef.current;
+      if (!galleryMode) updateAirDrawing(hands, now);
+      const drawingMode = tunablesRef.current.drawing && !galleryMode;
+
+      triggerRef.current.update(hands, now, {
+        bindings: activeBindings(),
+        holdMs: gestureHoldMs,
+        cooldownMs,
+        frameWidth: videoSizeRef.current.width,
+        mirrored: tunablesRef.current.mirror,
+        // drawing strokes would read as swipes, and pen, erase and colour
+        // gestures belong to the drawing
+        swipesEnabled: !drawingMode,
+        isReserved: (gesture) => drawingMode && isDrawingGesture(gesture),
+        run: runAction,
+      });
+    }
+  }
+
   async function startTracking() {
     if (startedRef.current || stoppedRef.current || isStarting) return;
     setIsStarting(true);
     setStartError("");
 
     try {
-      await setupCamera();
-      if (stoppedRef.current) return;
-
-      await setupModel();
-      if (stoppedRef.current) return;
+      if (replaySession) {
+        setupReplay(replaySession);
+      } else {
+        await setupCamera();
+        if (stoppedRef.current) return;
+
+        await setupModel();
+        if (stoppedRef.current) return;
+      }
 
       startedRef.current = true;
       setShowStartGate(false);
-      setStatus("Tracking... make an OK sign (either hand) to start 3s timer");
+      if (calibrationRequestedRef.current) {
+        calibrationRequestedRef.current = false;
+        beginCalibration();
+      } else if (offerCalibration && !replaySession) {
+        setCalibrationUi({ offer: true });
+      }
+      setStatus(
+        `Tracking... make an OK sign (either hand) to start ${countdownSeconds}s timer`
+      );
       rafRef.current = requestAnimationFrame(loop);
     } catch (e) {
       console.error(e);
@@ -576,6 +1358,16 @@ export default function CameraTracking({ onCapture, onVideoRectChange }) {
     }
   }
 
+  useEffect(() => {
+    if (!calibrationRequest) return;
+    if (startedRef.current) {
+      beginCalibration();
+    } else {
+      calibrationRequestedRef.current = true;
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [calibrationRequest]);
+
   useEffect(() => {
     if (!supportsMedia) {
       setStatus("Camera not supported in this browser.");
@@ -591,6 +1383,7 @@ export default function CameraTracking({ onCapture, onVideoRectChange }) {
       setIsStarting(false);
 
       cancelCountdown();
+      stopClip();
 
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
 
@@ -632,18 +1425,202 @@ export default function CameraTracking({ onCapture, onVideoRectChange }) {
     };
   }, [supportsMedia, isMobileDevice]);
 
+  // switch cameras live when the device, facing, resolution or frame rate changes
+  const {
+    deviceId,
+    facingMode,
+    resolution,
+    frameRate: cameraFrameRate,
+  } = cameraConfig;
+  useEffect(() => {
+    if (!startedRef.current || detectorRef.current?.isReplay) return;
+    reconfigureCameraForViewport();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [deviceId, facingMode, resolution, cameraFrameRate]);
+
+  // cameras plugged in or removed while running
+  useEffect(() => {
+    const devices = navigator.mediaDevices;
+    if (!devices?.addEventListener) return;
+    const onDeviceChange = () => {
+      if (startedRef.current) refreshCameras();
+    };
+    devices.addEventListener("devicechange", onDeviceChange);
+    return () => devices.removeEventListener("devicechange", onDeviceChange);
+  }, []);
+
   return (
     <div className="ct-root">
-      <div className="ct-frame">
-        <video ref={videoRef} playsInline muted className="ct-video" />
+      <div className={"ct-frame" + (mirrored ? " ct-mirrored" : "")}>
+        <video
+          ref={videoRef}
+          playsInline
+          muted
+          className="ct-video"
+          style={{ filter: previewFilterCss(filter) }}
+        />
+        {getFilter(filter).vignette && (
+          <div
+            className="ct-vignette"
+            style={{ "--ct-vignette": getFilter(filter).vignette }}
+          />
+        )}
+        <canvas ref={drawingCanvasRef} className="ct-overlay" />
         <canvas ref={overlayRef} className="ct-overlay" />
 
+        <svg className="ct-filterDefs" aria-hidden="true" focusable="false">
+          <defs>
+            {FILTERS.filter((f) => f.matrix || f.curves).map((f) => (
+              <filter
+                key={f.id}
+                id={svgFilterId(f.id)}
+                colorInterpolationFilters="sRGB"
+              >
+                {f.matrix && (
+                  <feColorMatrix type="matrix" values={f.matrix.join(" ")} />
+                )}
+                {f.curves && (
+                  <feComponentTransfer>
+                    <feFuncR type="table" tableValues={f.curves.r.join(" ")} />
+                    <feFuncG type="table" tableValues={f.curves.g.join(" ")} />
+                    <feFuncB type="table" tableValues={f.curves.b.join(" ")} />
+                  </feComponentTransfer>
+                )}
+              </filter>
+            ))}
+          </defs>
+        </svg>
+
+        {filterToast && (
+          <div
+            key={filterToast}
+            className="ct-filterName"
+            onAnimationEnd={() => setFilterToast(null)}
+          >
+            {getFilter(filterToast).label}
+          </div>
+        )}
+
         {countdown !== null && (
           <div className="ct-countdown" aria-live="polite">
             {countdown}
           </div>
         )}
 
+        {recordingElapsed !== null && (
+          <div className="ct-recording" aria-live="polite">
+            <span className="ct-recordingDot" />
+            REC {formatElapsed(recordingElapsed)}
+          </div>
+        )}
+
+        {showPerfHud && perf && (
+          <div className="ct-perf" aria-hidden="true">
+            <div>Render {perf.renderFps} fps</div>
+            <div>
+              Inference {perf.inferenceFps} fps (every{" "}
+              {formatMs(perf.intervalMs)})
+            </div>
+            <div>
+              Latency p50 {formatMs(perf.p50)} · p95 {formatMs(perf.p95)} · p99{" "}
+              {formatMs(perf.p99)}
+            </div>
+            <div>Input {Math.round(perf.inputScale * 100)}%</div>
+            <div>{perf.detector}</div>
+          </div>
+        )}
+
+        {drawingUi && (
+          <div className="ct-drawing" aria-live="polite">
+            <span
+              className="ct-drawingSwatch"
+              style={{ background: drawingUi.color }}
+            />
+            {drawingUi.penDown ? "Drawing" : "Pen up, pinch to draw"}
+          </div>
+        )}
+
+        {sequenceLabel && (
+          <div className="ct-sequence" aria-live="polite">
+            {sequenceLabel}
+          </div>
+        )}
+
+        {calibrationUi?.offer && (
+          <div className="ct-calibration">
+            <div className="ct-calibrationTitle">Calibrate gestures?</div>
+            <div className="ct-calibrationText">
+              Hold three poses for a few seconds each so the OK sign is tuned
+              to your hand and distance from the camera.
+            </div>
+            <div className="ct-calibrationActions">
+              <button
+                className="ct-startBtn ct-smallBtn"
+                onClick={beginCalibration}
+                type="button"
+              >
+                Calibrate
+              </button>
+              <button
+                className="ct-startBtn ct-smallBtn"
+                onClick={skipCalibration}
+                type="button"
+              >
+                Skip
+              </button>
+            </div>
+          </div>
+        )}
+
+        {calibrationUi && !calibrationUi.offer && (
+          <div className="ct-calibration" aria-live="polite">
+            <div className="ct-calibrationStep">
+              Step {calibrationUi.stepIndex + 1} of {calibrationUi.stepCount}
+            </div>
+            <div className="ct-calibrationTitle">{calibrationUi.step.title}</div>
+            <div className="ct-calibrationText">
+              {calibrationUi.wrongPose
+                ? "That looked like a different gesture. Let's try that again."
+                : calibrationUi.retry
+                  ? "Couldn't see your hand clearly. Let's try that again."
+                  : calibrationUi.step.hint}
+            </div>
+            <div className="ct-calibrationText">
+              {calibrationUi.phase === "prepare" ? "Get ready..." : "Hold still..."}
+            </div>
+            <div className="ct-progress">
+              <div
+                className={
+                  "ct-progressBar " +
+                  (calibrationUi.phase === "measure" ? "measuring" : "")
+                }
+                style={{ width: `${Math.round(calibrationUi.progress * 100)}%` }}
+              />
+            </div>
+            <div className="ct-calibrationActions">
+              <button
+                className="ct-startBtn ct-smallBtn"
+                onClick={skipCalibration}
+                type="button"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {notice && !showStartGate && (
+          <button
+            className="ct-notice"
+            onClick={() => setNotice(null)}
+            role="status"
+            title="Dismiss"
+            type="button"
+          >
+            {notice.text}
+          </button>
+        )}
+
         {showStartGate && (
           <div className="ct-startGate">
             <div className="ct-startIntro">
@@ -659,10 +1636,14 @@ export default function CameraTracking({ onCapture, onVideoRectChange }) {
             <button
               className="ct-startBtn"
               onClick={startTracking}
-              disabled={isStarting || !supportsMedia}
+              disabled={isStarting || (!supportsMedia && !replaySession)}
               type="button"
             >
-              {isStarting ? "Starting camera..." : "Enable Camera"}
+              {isStarting
+                ? "Starting camera..."
+                : replaySession
+                  ? "Start Replay"
+                  : "Enable Camera"}
             </button>
             {!isSecureContext && (
               <div className="ct-startMsg">
@@ -675,6 +1656,7 @@ export default function CameraTracking({ onCapture, onVideoRectChange }) {
       </div>
 
       <canvas ref={captureCanvasRef} className="ct-hiddenCanvas" />
+      <canvas ref={clipCanvasRef} className="ct-hiddenCanvas" />
     </div>
   );
 }
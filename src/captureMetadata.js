@@ -0,0 +1,119 @@
+// Metadata record stored with every capture, plus embedding it into the
+// downloaded JPEG as XMP (with a sidecar JSON when it doesn't fit).
+
+export const METADATA_VERSION = 1;
+
+const XMP_HEADER = "http://ns.adobe.com/xap/1.0/\0";
+const XMP_NAMESPACE = "https://github.com/andreszaidandev/Handtracking-camera/xmp/1.0/";
+const MAX_SEGMENT_LENGTH = 0xffff;
+
+function round(value, digits) {
+  if (!Number.isFinite(value)) return value ?? null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function serializeKeypoints(keypoints) {
+  return (keypoints || []).map((p) => ({
+    x: round(p.x, 1),
+    y: round(p.y, 1),
+    ...(p.z !== undefined && { z: round(p.z, 4) }),
+    ...(p.name && { name: p.name }),
+  }));
+}
+
+// hands: tracked hands as kept by CameraTracking ({ id, side, pred, gesture })
+export function describeHands(hands) {
+  return (hands || []).map((hand) => ({
+    trackId: hand.id,
+    side: hand.side,
+    handedness: hand.pred.handedness ?? null,
+    score: round(hand.pred.score, 3),
+    gesture: hand.gesture?.name ?? null,
+    confidence: round(hand.gesture?.confidence, 3),
+    keypoints: serializeKeypoints(hand.pred.keypoints),
+  }));
+}
+
+// `details` holds capture-kind specific records (burst, clip, boomerang).
+export function createCaptureMetadata({
+  trigger = null,
+  video = null,
+  device = null,
+  settings = null,
+  capturedAt = new Date(),
+  ...details
+}) {
+  return {
+    version: METADATA_VERSION,
+    capturedAt: capturedAt.toISOString(),
+    trigger,
+    video,
+    device,
+    settings,
+    ...details,
+  };
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function buildXmpPacket(metadata) {
+  const attrs = [];
+  // missing values are left out rather than written as "null"
+  const attr = (name, value) => {
+    if (value != null) attrs.push(`${name}="${escapeXml(value)}"`);
+  };
+  attr("xmp:CreateDate", metadata.capturedAt);
+  attr("xmp:CreatorTool", "Hand-Tracking Camera");
+  attr("handcam:Gesture", metadata.trigger?.gesture);
+  attr("handcam:Hand", metadata.trigger?.side);
+
+  return [
+    `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>`,
+    `<x:xmpmeta xmlns:x="adobe:ns:meta/">`,
+    `<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">`,
+    `<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:handcam="${XMP_NAMESPACE}" ${attrs.join(" ")}>`,
+    `<handcam:Metadata>${escapeXml(JSON.stringify(metadata))}</handcam:Metadata>`,
+    `</rdf:Description>`,
+    `</rdf:RDF>`,
+    `</x:xmpmeta>`,
+    `<?xpacket end="w"?>`,
+  ].join("\n");
+}
+
+// Resolves to a copy of the JPEG with an APP1 XMP segment, or null when the
+// blob isn't a JPEG or the record is too large for a single segment.
+export async function embedXmp(jpegBlob, metadata) {
+  const bytes = new Uint8Array(await jpegBlob.arrayBuffer());
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+
+  const payload = new TextEncoder().encode(
+    XMP_HEADER + buildXmpPacket(metadata)
+  );
+  const length = payload.length + 2;
+  if (length > MAX_SEGMENT_LENGTH) return null;
+
+  // insert after SOI, and after the JFIF APP0 segment when there is one
+  let offset = 2;
+  if (bytes[2] === 0xff && bytes[3] === 0xe0) {
+    offset = 4 + ((bytes[4] << 8) | bytes[5]);
+  }
+  const marker = new Uint8Array([0xff, 0xe1, length >> 8, length & 0xff]);
+
+  return new Blob(
+    [bytes.subarray(0, offset), marker, payload, bytes.subarray(offset)],
+    { type: "image/jpeg" }
+  );
+}
+
+export function metadataSidecar(metadata) {
+  return new Blob([JSON.stringify(metadata, null, 2)], {
+    type: "application/json",
+  });
+}
@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { createCaptureMetadata, embedXmp } from "./captureMetadata";
+
+// SOI + EOI is enough for the segment to be inserted
+const JPEG = new Blob([new Uint8Array([0xff, 0xd8, 0xff, 0xd9])], {
+  type: "image/jpeg",
+});
+
+async function xmpAttributes(metadata) {
+  const text = await (await embedXmp(JPEG, metadata)).text();
+  const start = text.indexOf("<rdf:Description");
+  return text.slice(start, text.indexOf(">", start));
+}
+
+describe("embedXmp", () => {
+  it("writes the trigger gesture and hand", async () => {
+    const attrs = await xmpAttributes(
+      createCaptureMetadata({ trigger: { gesture: "ok", side: "left" } })
+    );
+    expect(attrs).toContain('handcam:Gesture="ok"');
+    expect(attrs).toContain('handcam:Hand="left"');
+  });
+
+  it("leaves out trigger attributes without a value", async () => {
+    const attrs = await xmpAttributes(
+      createCaptureMetadata({ trigger: { gesture: null, side: undefined } })
+    );
+    expect(attrs).not.toContain("handcam:Gesture");
+    expect(attrs).not.toContain("handcam:Hand");
+    expect(attrs).not.toContain('"null"');
+    expect(attrs).toContain("xmp:CreateDate=");
+  });
+});
@@ -0,0 +1,64 @@
+// MediaRecorder wrapper for gesture-triggered video clips.
+
+const MIME_CANDIDATES = [
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm",
+  "video/mp4",
+];
+
+export function isClipRecordingSupported() {
+  return (
+    typeof MediaRecorder !== "undefined" &&
+    typeof HTMLCanvasElement !== "undefined" &&
+    !!HTMLCanvasElement.prototype.captureStream
+  );
+}
+
+export function pickClipMimeType() {
+  if (!isClipRecordingSupported()) return null;
+  return MIME_CANDIDATES.find((t) => MediaRecorder.isTypeSupported(t)) ?? "";
+}
+
+export function isClipType(type) {
+  return String(type).startsWith("video/");
+}
+
+// Records `stream` until stop(), which resolves to the finished clip Blob.
+export function createClipRecorder(stream, { mimeType = pickClipMimeType() } = {}) {
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  let startedAt = null;
+
+  recorder.ondataavailable = (e) => {
+    if (e.data?.size) chunks.push(e.data);
+  };
+
+  const finished = new Promise((resolve, reject) => {
+    recorder.onstop = () =>
+      resolve(
+        new Blob(chunks, {
+          type: (recorder.mimeType || mimeType || "video/webm").split(";")[0],
+        })
+      );
+    recorder.onerror = (e) => reject(e.error ?? new Error("Recording failed."));
+  });
+  // an error before stop() is reported by stop(), not as an unhandled rejection
+  finished.catch(() => {});
+
+  return {
+    get startedAt() {
+      return startedAt;
+    },
+
+    start() {
+      startedAt = performance.now();
+      recorder.start(1000);
+    },
+
+    async stop() {
+      if (recorder.state !== "inactive") recorder.stop();
+      return finished;
+    },
+  };
+}
@@ -0,0 +1,72 @@
+// Dedicated worker hosting a TensorFlow.js hand detector. Frames arrive as
+// transferred ImageBitmaps or VideoFrames; keypoints are posted back as plain
+// predictions. See workerDetector.js for the main-thread side.
+import { createHandDetector } from "./detectors";
+
+let detector = null;
+
+function post(message) {
+  self.postMessage(message);
+}
+
+function errorMessage(e) {
+  return e?.message ? String(e.message) : String(e);
+}
+
+// tfjs can't read VideoFrames, so those are turned into bitmaps first.
+async function toImage(frame) {
+  if (typeof ImageBitmap !== "undefined" && frame instanceof ImageBitmap) {
+    return frame;
+  }
+  try {
+    return await createImageBitmap(frame);
+  } finally {
+    frame.close?.();
+  }
+}
+
+async function estimate({ id, frame, options }) {
+  let image = null;
+  try {
+    if (!detector) throw new Error("Detector is not initialized.");
+    image = await toImage(frame);
+    const predictions = await detector.estimateHands(image, options);
+    post({ type: "result", id, predictions });
+  } catch (e) {
+    post({ type: "error", id, message: errorMessage(e) });
+  } finally {
+    (image ?? frame)?.close?.();
+  }
+}
+
+self.onmessage = async ({ data }) => {
+  switch (data.type) {
+    case "init":
+      try {
+        detector = await createHandDetector(data.config);
+        post({
+          type: "ready",
+          id: data.id,
+          runtime: detector.runtime,
+          modelType: detector.modelType,
+          maxHands: detector.maxHands,
+          backend: detector.backend,
+        });
+      } catch (e) {
+        post({ type: "error", id: data.id, message: errorMessage(e) });
+      }
+      break;
+    case "estimate":
+      await estimate(data);
+      break;
+    case "reset":
+      detector?.reset();
+      break;
+    case "dispose":
+      detector?.dispose();
+      detector = null;
+      break;
+    default:
+      break;
+  }
+};
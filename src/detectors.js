@@ -0,0 +1,203 @@
+// Hand detector abstraction over the hand-pose-detection runtimes.
+// Every model file is served from the app's own origin (see vite.config.js and
+// scripts/fetch-hand-models.js), so tracking works offline and under strict CSP.
+import * as tf from "@tensorflow/tfjs-core";
+import "@tensorflow/tfjs-backend-webgl";
+import * as handPoseDetection from "@tensorflow-models/hand-pose-detection";
+import wasmUrl from "@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm?url";
+import wasmSimdUrl from "@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm?url";
+import wasmThreadedSimdUrl from "@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm?url";
+import { readJSON, writeJSON } from "./storage";
+
+export const RUNTIMES = {
+  MEDIAPIPE: "mediapipe",
+  TFJS_WEBGL: "tfjs-webgl",
+  TFJS_WASM: "tfjs-wasm",
+  TFJS_CPU: "tfjs-cpu",
+};
+
+export const RUNTIME_LABELS = {
+  [RUNTIMES.MEDIAPIPE]: "MediaPipe (WASM)",
+  [RUNTIMES.TFJS_WEBGL]: "TensorFlow.js (WebGL)",
+  [RUNTIMES.TFJS_WASM]: "TensorFlow.js (WASM)",
+  [RUNTIMES.TFJS_CPU]: "TensorFlow.js (CPU)",
+};
+
+export const MODEL_TYPES = {
+  LITE: "lite",
+  FULL: "full",
+};
+
+export const MAX_HANDS_LIMIT = 4;
+
+export const DEFAULT_DETECTOR_CONFIG = {
+  runtime: RUNTIMES.MEDIAPIPE,
+  modelType: MODEL_TYPES.LITE,
+  maxHands: 2,
+  // tfjs runtimes only: use TF Hub when the self-hosted models are missing.
+  // Off by default so a broken deploy fails loudly instead of leaving origin.
+  allowRemoteModels: false,
+  // tfjs runtimes only: detect in a worker (see workerDetector.js)
+  useWorker: true,
+};
+
+// Tried in order after the requested runtime fails.
+const FALLBACK_ORDER = [
+  RUNTIMES.MEDIAPIPE,
+  RUNTIMES.TFJS_WEBGL,
+  RUNTIMES.TFJS_WASM,
+  RUNTIMES.TFJS_CPU,
+];
+
+const BASE_URL = import.meta.env.BASE_URL;
+const MEDIAPIPE_SOLUTION_PATH = `${BASE_URL}mediapipe/hands`;
+const TFJS_MODEL_PATH = `${BASE_URL}models/handpose_3d`;
+const TFHUB_MODEL_PATH = "https://tfhub.dev/mediapipe/tfjs-model/handpose_3d";
+
+const TFJS_BACKENDS = {
+  [RUNTIMES.TFJS_WEBGL]: "webgl",
+  [RUNTIMES.TFJS_WASM]: "wasm",
+  [RUNTIMES.TFJS_CPU]: "cpu",
+};
+
+async function ensureBackend(name) {
+  if (name === "wasm" && !tf.findBackendFactory("wasm")) {
+    const wasm = await import("@tensorflow/tfjs-backend-wasm");
+    wasm.setWasmPaths({
+      "tfjs-backend-wasm.wasm": wasmUrl,
+      "tfjs-backend-wasm-simd.wasm": wasmSimdUrl,
+      "tfjs-backend-wasm-threaded-simd.wasm": wasmThreadedSimdUrl,
+    });
+  }
+  if (name === "cpu" && !tf.findBackendFactory("cpu")) {
+    await import("@tensorflow/tfjs-backend-cpu");
+  }
+
+  const ok = await tf.setBackend(name);
+  if (!ok) throw new Error(`TensorFlow.js backend "${name}" is unavailable.`);
+  await tf.ready();
+  return tf.getBackend();
+}
+
+async function createMediaPipe({ modelType, maxHands }) {
+  return handPoseDetection.createDetector(
+    handPoseDetection.SupportedModels.MediaPipeHands,
+    {
+      runtime: "mediapipe",
+      modelType,
+      maxHands,
+      solutionPath: MEDIAPIPE_SOLUTION_PATH,
+    }
+  );
+}
+
+async function createTfjs({ modelType, maxHands, allowRemoteModels }) {
+  const model = handPoseDetection.SupportedModels.MediaPipeHands;
+  const urlsFrom = (base, suffix) => ({
+    detectorModelUrl: `${base}/detector/${modelType}${suffix}`,
+    landmarkModelUrl: `${base}/landmark/${modelType}${suffix}`,
+  });
+
+  try {
+    return await handPoseDetection.createDetector(model, {
+      runtime: "tfjs",
+      modelType,
+      maxHands,
+      ...urlsFrom(TFJS_MODEL_PATH, "/model.json"),
+    });
+  } catch (e) {
+    if (!allowRemoteModels || !navigator.onLine) throw e;
+    console.warn("Self-hosted hand models unavailable, using TF Hub:", e);
+    return handPoseDetection.createDetector(model, {
+      runtime: "tfjs",
+      modelType,
+      maxHands,
+      ...urlsFrom(TFHUB_MODEL_PATH, "/1"),
+    });
+  }
+}
+
+// Creates one runtime. Rejects when that runtime can't start here.
+export async function createHandDetector(config = {}) {
+  const cfg = { ...DEFAULT_DETECTOR_CONFIG, ...config };
+  let backend = null;
+  let detector;
+
+  if (cfg.runtime === RUNTIMES.MEDIAPIPE) {
+    detector = await createMediaPipe(cfg);
+  } else if (TFJS_BACKENDS[cfg.runtime]) {
+    backend = await ensureBackend(TFJS_BACKENDS[cfg.runtime]);
+    detector = await createTfjs(cfg);
+  } else {
+    throw new Error(`Unknown detector runtime: ${cfg.runtime}`);
+  }
+
+  return {
+    runtime: cfg.runtime,
+    modelType: cfg.modelType,
+    maxHands: cfg.maxHands,
+    backend,
+    estimateHands: (input, options) => detector.estimateHands(input, options),
+    reset: () => detector.reset?.(),
+    dispose: () => detector.dispose?.(),
+  };
+}
+
+// Tries the requested runtime first, then the rest of FALLBACK_ORDER.
+export async function createHandDetectorWithFallback(
+  config = {},
+  { onFallback } = {}
+) {
+  const cfg = { ...DEFAULT_DETECTOR_CONFIG, ...config };
+  const order = [
+    cfg.runtime,
+    ...FALLBACK_ORDER.filter((r) => r !== cfg.runtime),
+  ];
+
+  let lastError = null;
+  for (const runtime of order) {
+    try {
+      const detector = await createHandDetector({ ...cfg, runtime });
+      if (runtime !== cfg.runtime) onFallback?.(runtime, lastError);
+      return detector;
+    } catch (e) {
+      console.warn(`Hand detector runtime "${runtime}" failed:`, e);
+      lastError = e;
+    }
+  }
+  throw lastError ?? new Error("No hand detector runtime could be started.");
+}
+
+const STORAGE_KEY = "handcam.detector.v1";
+
+export function loadDetectorConfig() {
+  const parsed = readJSON(STORAGE_KEY, {});
+  return {
+    ...DEFAULT_DETECTOR_CONFIG,
+    ...(Object.values(RUNTIMES).includes(parsed.runtime) && {
+      runtime: parsed.runtime,
+    }),
+    ...(Object.values(MODEL_TYPES).includes(parsed.modelType) && {
+      modelType: parsed.modelType,
+    }),
+    ...(Number.isInteger(parsed.maxHands) &&
+      parsed.maxHands >= 1 &&
+      parsed.maxHands <= MAX_HANDS_LIMIT && { maxHands: parsed.maxHands }),
+    ...(typeof parsed.useWorker === "boolean" && {
+      useWorker: parsed.useWorker,
+    }),
+    ...(typeof parsed.allowRemoteModels === "boolean" && {
+      allowRemoteModels: parsed.allowRemoteModels,
+    }),
+  };
+}
+
+export function saveDetectorConfig(config) {
+  writeJSON(STORAGE_KEY, {
+    runtime: config.runtime,
+    modelType: config.modelType,
+    maxHands: config.maxHands,
+    useWorker: config.useWorker,
+    allowRemoteModels: config.allowRemoteModels,
+  });
+}
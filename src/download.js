@@ -0,0 +1,25 @@
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "video/webm": "webm",
+  "video/mp4": "mp4",
+  "application/json": "json",
+};
+
+export function extensionForType(type) {
+  return EXTENSIONS[String(type).split(";")[0]] ?? "bin";
+}
+
+// Saves a Blob through a temporary <a download> link.
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
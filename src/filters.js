@@ -0,0 +1,189 @@
+// Colour filters. Each one is a colour matrix and/or per-channel tone curves
+// (plus an optional vignette), so the same definition drives the live SVG
+// preview and the pixels baked into captures.
+
+function saturateMatrix(s) {
+  return [
+    0.2126 + 0.7874 * s, 0.7152 - 0.7152 * s, 0.0722 - 0.0722 * s, 0, 0,
+    0.2126 - 0.2126 * s, 0.7152 + 0.2848 * s, 0.0722 - 0.0722 * s, 0, 0,
+    0.2126 - 0.2126 * s, 0.7152 - 0.7152 * s, 0.0722 + 0.9278 * s, 0, 0,
+    0, 0, 0, 1, 0,
+  ];
+}
+
+const SEPIA_MATRIX = [
+  0.393, 0.769, 0.189, 0, 0,
+  0.349, 0.686, 0.168, 0, 0,
+  0.272, 0.534, 0.131, 0, 0,
+  0, 0, 0, 1, 0,
+];
+
+function contrastCurve(amount, points = 9) {
+  return Array.from({ length: points }, (_, i) => {
+    const x = i / (points - 1);
+    return Math.min(1, Math.max(0, (x - 0.5) * amount + 0.5));
+  });
+}
+
+const HIGH_CONTRAST = contrastCurve(1.6);
+
+// curves: evenly spaced output values, as in SVG feFunc tableValues
+export const FILTERS = [
+  { id: "none", label: "Original" },
+  { id: "grayscale", label: "Grayscale", matrix: saturateMatrix(0) },
+  { id: "sepia", label: "Sepia", matrix: SEPIA_MATRIX },
+  {
+    id: "contrast",
+    label: "High contrast",
+    curves: { r: HIGH_CONTRAST, g: HIGH_CONTRAST, b: HIGH_CONTRAST },
+  },
+  { id: "vignette", label: "Vignette", vignette: 0.65 },
+  {
+    id: "warm",
+    label: "Warm",
+    curves: {
+      r: [0, 0.3, 0.58, 0.82, 1],
+      g: [0, 0.26, 0.52, 0.77, 0.97],
+      b: [0, 0.2, 0.44, 0.7, 0.9],
+    },
+  },
+  {
+    id: "cool",
+    label: "Cool",
+    curves: {
+      r: [0, 0.2, 0.45, 0.72, 0.92],
+      g: [0, 0.25, 0.51, 0.77, 0.98],
+      b: [0.04, 0.32, 0.6, 0.84, 1],
+    },
+  },
+  {
+    id: "faded",
+    label: "Faded",
+    matrix: saturateMatrix(0.75),
+    curves: {
+      r: [0.12, 0.32, 0.53, 0.74, 0.93],
+      g: [0.1, 0.3, 0.52, 0.73, 0.92],
+      b: [0.14, 0.33, 0.53, 0.72, 0.9],
+    },
+  },
+  {
+    id: "noir",
+    label: "Noir",
+    matrix: saturateMatrix(0),
+    curves: { r: HIGH_CONTRAST, g: HIGH_CONTRAST, b: HIGH_CONTRAST },
+    vignette: 0.5,
+  },
+];
+
+export const DEFAULT_FILTER = FILTERS[0].id;
+
+export function getFilter(id) {
+  return FILTERS.find((f) => f.id === id) ?? FILTERS[0];
+}
+
+// Neighbour in FILTERS, wrapping around; step is +1 or -1.
+export function cycleFilter(id, step) {
+  const index = FILTERS.findIndex((f) => f.id === id);
+  const next = (Math.max(0, index) + step + FILTERS.length) % FILTERS.length;
+  return FILTERS[next].id;
+}
+
+export function svgFilterId(id) {
+  return `ct-filter-${id}`;
+}
+
+// CSS `filter` value for the live preview; the SVG itself is rendered by
+// CameraTracking from the same definitions.
+export function previewFilterCss(id) {
+  const filter = getFilter(id);
+  return filter.matrix || filter.curves ? `url(#${svgFilterId(id)})` : "none";
+}
+
+// keep in sync with the `.ct-vignette` preview gradient
+const VIGNETTE_INNER_STOP = 0.55;
+
+function buildLut(points) {
+  const lut = new Uint8ClampedArray(256);
+  const n = points.length - 1;
+  for (let v = 0; v < 256; v++) {
+    const c = v / 255;
+    const k = Math.min(n - 1, Math.floor(c * n));
+    const out = points[k] + (c - k / n) * n * (points[k + 1] - points[k]);
+    lut[v] = Math.round(out * 255);
+  }
+  return lut;
+}
+
+const lutCache = new Map();
+
+function curveLuts(filter) {
+  if (!filter.curves) return null;
+  if (!lutCache.has(filter.id)) {
+    const { r, g, b } = filter.curves;
+    lutCache.set(filter.id, [buildLut(r), buildLut(g), buildLut(b)]);
+  }
+  return lutCache.get(filter.id);
+}
+
+export function applyFilterToImageData(imageData, id) {
+  const filter = getFilter(id);
+  const m = filter.matrix;
+  const luts = curveLuts(filter);
+  if (!m && !luts) return imageData;
+
+  const d = imageData.data;
+  for (let i = 0; i < d.length; i += 4) {
+    let r = d[i];
+    let g = d[i + 1];
+    let b = d[i + 2];
+    if (m) {
+      const a = d[i + 3];
+      const nr = m[0] * r + m[1] * g + m[2] * b + m[3] * a + m[4] * 255;
+      const ng = m[5] * r + m[6] * g + m[7] * b + m[8] * a + m[9] * 255;
+      const nb = m[10] * r + m[11] * g + m[12] * b + m[13] * a + m[14] * 255;
+      r = Math.min(255, Math.max(0, Math.round(nr)));
+      g = Math.min(255, Math.max(0, Math.round(ng)));
+      b = Math.min(255, Math.max(0, Math.round(nb)));
+    }
+    if (luts) {
+      r = luts[0][r];
+      g = luts[1][g];
+      b = luts[2][b];
+    }
+    d[i] = r;
+    d[i + 1] = g;
+    d[i + 2] = b;
+  }
+  return imageData;
+}
+
+export function drawVignette(ctx, width, height, strength) {
+  if (!strength) return;
+  const radius = Math.hypot(width, height) / 2;
+  const gradient = ctx.createRadialGradient(
+    width / 2,
+    height / 2,
+    radius * VIGNETTE_INNER_STOP,
+    width / 2,
+    height / 2,
+    radius
+  );
+  gradient.addColorStop(0, "rgba(0,0,0,0)");
+  gradient.addColorStop(1, `rgba(0,0,0,${strength})`);
+
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+  ctx.restore();
+}
+
+// Bakes a filter into whatever is already drawn on the canvas.
+export function applyFilterToCanvas(ctx, width, height, id) {
+  const filter = getFilter(id);
+  if (filter.matrix || filter.curves) {
+    const imageData = ctx.getImageData(0, 0, width, height);
+    ctx.putImageData(applyFilterToImageData(imageData, id), 0, 0);
+  }
+  drawVignette(ctx, width, height, filter.vignette);
+}
@@ -0,0 +1,91 @@
+// Client-side ZIP export of gallery items with a manifest.json describing
+// each file and its capture details.
+import { zip } from "fflate";
+import { embedXmp } from "./captureMetadata";
+import { extensionForType } from "./download";
+
+export const MANIFEST_VERSION = 1;
+
+export function captureBaseName(photo) {
+  return `pinchcam-${photo.createdAt}`;
+}
+
+function uniqueName(name, taken) {
+  if (!taken.has(name)) return name;
+  const dot = name.lastIndexOf(".");
+  for (let n = 2; ; n++) {
+    const candidate = `${name.slice(0, dot)}-${n}${name.slice(dot)}`;
+    if (!taken.has(candidate)) return candidate;
+  }
+}
+
+// A gallery item as a named File ready to download or share, with the
+// capture metadata embedded as XMP when it fits. Null when the blob is gone.
+export async function captureFile(photo, getBlob) {
+  const blob = await getBlob(photo.id);
+  if (!blob) return null;
+  const embedded = photo.metadata ? await embedXmp(blob, photo.metadata) : null;
+  return new File(
+    [embedded ?? blob],
+    `${captureBaseName(photo)}.${extensionForType(blob.type)}`,
+    { type: blob.type, lastModified: photo.createdAt }
+  );
+}
+
+function zipAsync(files) {
+  return new Promise((resolve, reject) => {
+    zip(files, (err, data) => (err ? reject(err) : resolve(data)));
+  });
+}
+
+// photos: gallery items (newest first, as listed); getBlob(id) loads the
+// full-size file. Items whose blob is gone are skipped and listed as missing.
+export async function buildGalleryZip(photos, getBlob, { exportedAt = new Date() } = {}) {
+  const files = {};
+  const taken = new Set(["manifest.json"]);
+  const items = [];
+  const missing = [];
+
+  for (const photo of photos) {
+    const captured = await captureFile(photo, getBlob);
+    if (!captured) {
+      missing.push(photo.id);
+      continue;
+    }
+
+    const file = uniqueName(captured.name, taken);
+    taken.add(file);
+    // media is already compressed, storing it is much faster
+    files[file] = [new Uint8Array(await captured.arrayBuffer()), { level: 0 }];
+
+    items.push({
+      file,
+      id: photo.id,
+      type: captured.type,
+      size: captured.size,
+      createdAt: new Date(photo.createdAt).toISOString(),
+      burstId: photo.burstId ?? null,
+      metadata: photo.metadata ?? null,
+    });
+  }
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    app: "Hand-Tracking Camera",
+    exportedAt: exportedAt.toISOString(),
+    count: items.length,
+    items,
+    ...(missing.length && { missing }),
+  };
+  files["manifest.json"] = new TextEncoder().encode(
+    JSON.stringify(manifest, null, 2)
+  );
+
+  const data = await zipAsync(files);
+  return new Blob([data], { type: "application/zip" });
+}
+
+export function zipFileName(exportedAt = new Date()) {
+  const stamp = exportedAt.toISOString().replace(/[:.]/g, "-").slice(0, 19);
+  return `pinchcam-gallery-${stamp}.zip`;
+}
@@ -0,0 +1,18 @@
+// Groups neighbouring gallery items that share a burstId into one stack.
+// Items keep their flat index so the modal can still step through every shot.
+export function groupIntoStacks(photos) {
+  const stacks = [];
+  photos.forEach((photo, index) => {
+    const last = stacks[stacks.length - 1];
+    if (photo.burstId && last?.burstId === photo.burstId) {
+      last.items.push({ photo, index });
+    } else {
+      stacks.push({
+        key: photo.id,
+        burstId: photo.burstId ?? null,
+        items: [{ photo, index }],
+      });
+    }
+  });
+  return stacks;
+}
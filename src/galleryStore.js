@@ -0,0 +1,319 @@
+// Persistent gallery: full-size captures (photos and clips) and thumbnails as
+// Blobs in IndexedDB.
+// Listing only reads the small "items" store; full images load on demand.
+
+const DB_NAME = "handcam-gallery";
+const DB_VERSION = 1;
+const ITEMS = "items";
+const BLOBS = "blobs";
+
+export const EVICTION_POLICIES = {
+  OLDEST: "oldest",
+  REJECT: "reject",
+};
+
+export const THUMBNAIL_SIZE = 240;
+
+export class GalleryQuotaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GalleryQuotaError";
+  }
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function openDatabase() {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(ITEMS)) {
+      const items = db.createObjectStore(ITEMS, { keyPath: "id" });
+      items.createIndex("createdAt", "createdAt");
+    }
+    if (!db.objectStoreNames.contains(BLOBS)) {
+      db.createObjectStore(BLOBS, { keyPath: "id" });
+    }
+  };
+  return promisify(request);
+}
+
+// Video clips are thumbnailed from their first decoded frame.
+async function loadThumbnailSource(blob) {
+  if (!blob.type.startsWith("video/")) {
+    const bitmap = await createImageBitmap(blob);
+    return {
+      source: bitmap,
+      width: bitmap.width,
+      height: bitmap.height,
+      release: () => bitmap.close?.(),
+    };
+  }
+
+  const url = URL.createObjectURL(blob);
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = "auto";
+  try {
+    await new Promise((resolve, reject) => {
+      video.onloadeddata = () => resolve();
+      video.onerror = () => reject(new Error("Could not decode clip."));
+      video.src = url;
+    });
+  } catch (e) {
+    URL.revokeObjectURL(url);
+    throw e;
+  }
+  return {
+    source: video,
+    width: video.videoWidth,
+    height: video.videoHeight,
+    release: () => URL.revokeObjectURL(url),
+  };
+}
+
+export async function createThumbnail(blob, size = THUMBNAIL_SIZE) {
+  const { source, width, height, release } = await loadThumbnailSource(blob);
+  const scale = Math.min(1, size / Math.max(width, height, 1));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  canvas.getContext("2d").drawImage(source, 0, 0, canvas.width, canvas.height);
+  release();
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (thumb) =>
+        thumb ? resolve(thumb) : reject(new Error("Thumbnail failed.")),
+      "image/jpeg",
+      0.8
+    );
+  });
+}
+
+function newId() {
+  return (
+    crypto.randomUUID?.() ??
+    `${Date.now()}-${Math.random().toString(36).slice(2)}`
+  );
+}
+
+// Same id and place in the gallery, new content (e.g. an edited photo).
+// Replacing doesn't evict other items even if the new blob is larger.
+function replacedItem(item, blob, thumbnail, extra) {
+  return {
+    ...item,
+    ...extra,
+    type: blob.type,
+    size: blob.size + thumbnail.size,
+    thumbnail,
+    updatedAt: Date.now(),
+  };
+}
+
+function buildItem(blob, thumbnail, extra) {
+  return {
+    id: newId(),
+    createdAt: Date.now(),
+    type: blob.type,
+    size: blob.size + thumbnail.size,
+    thumbnail,
+    ...extra,
+  };
+}
+
+// Which items must go (oldest first) so that `incoming` fits the quota.
+function planEviction(items, incoming, { maxItems, maxBytes, policy }) {
+  const sorted = [...items].sort((a, b) => a.createdAt - b.createdAt);
+  let count = sorted.length + 1;
+  let bytes = sorted.reduce((sum, item) => sum + item.size, 0) + incoming.size;
+
+  if (incoming.size > maxBytes) {
+    throw new GalleryQuotaError(
+      "Photo is larger than the gallery storage limit."
+    );
+  }
+
+  const evict = [];
+  while ((count > maxItems || bytes > maxBytes) && sorted.length) {
+    if (policy === EVICTION_POLICIES.REJECT) {
+      throw new GalleryQuotaError(
+        "Gallery is full. Delete photos to make room."
+      );
+    }
+    const oldest = sorted.shift();
+    evict.push(oldest.id);
+    count -= 1;
+    bytes -= oldest.size;
+  }
+  return evict;
+}
+
+// Ids of the items that don't fit { maxItems, maxBytes }, keeping the newest.
+export function planTrim(items, { maxItems, maxBytes }) {
+  const newestFirst = [...items].sort((a, b) => b.createdAt - a.createdAt);
+  const trimmed = [];
+  let bytes = 0;
+  newestFirst.forEach((item, idx) => {
+    bytes += item.size;
+    if (idx >= maxItems || bytes > maxBytes) trimmed.push(item.id);
+  });
+  return trimmed;
+}
+
+const DEFAULT_QUOTA = {
+  maxItems: 50,
+  maxBytes: 200 * 1024 * 1024,
+  policy: EVICTION_POLICIES.OLDEST,
+};
+
+function createIndexedDbStore() {
+  let dbPromise = null;
+  const db = () => (dbPromise ??= openDatabase());
+
+  async function listItems() {
+    const tx = (await db()).transaction(ITEMS, "readonly");
+    return promisify(tx.objectStore(ITEMS).getAll());
+  }
+
+  return {
+    persistent: true,
+
+    async list() {
+      const items = await listItems();
+      return items.sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async getBlob(id) {
+      const tx = (await db()).transaction(BLOBS, "readonly");
+      const row = await promisify(tx.objectStore(BLOBS).get(id));
+      return row?.blob ?? null;
+    },
+
+    // Returns { item, evicted } where evicted lists ids removed to make room.
+    // extra.thumbnail, when given, is stored instead of a generated one.
+    async add(blob, extra = {}, quota = DEFAULT_QUOTA) {
+      const thumbnail = extra.thumbnail ?? (await createThumbnail(blob));
+      const item = buildItem(blob, thumbnail, extra);
+      const evicted = planEviction(await listItems(), item, {
+        ...DEFAULT_QUOTA,
+        ...quota,
+      });
+
+      const tx = (await db()).transaction([ITEMS, BLOBS], "readwrite");
+      for (const id of evicted) {
+        tx.objectStore(ITEMS).delete(id);
+        tx.objectStore(BLOBS).delete(id);
+      }
+      tx.objectStore(ITEMS).put(item);
+      tx.objectStore(BLOBS).put({ id: item.id, blob });
+      await transactionDone(tx);
+      return { item, evicted };
+    },
+
+    // Resolves to the updated item, or null when `id` is gone.
+    async replace(id, blob, extra = {}) {
+      const thumbnail = extra.thumbnail ?? (await createThumbnail(blob));
+      const tx = (await db()).transaction([ITEMS, BLOBS], "readwrite");
+      const existing = await promisify(tx.objectStore(ITEMS).get(id));
+      if (!existing) return null;
+      const item = replacedItem(existing, blob, thumbnail, extra);
+      tx.objectStore(ITEMS).put(item);
+      tx.objectStore(BLOBS).put({ id, blob });
+      await transactionDone(tx);
+      return item;
+    },
+
+    async remove(ids) {
+      const tx = (await db()).transaction([ITEMS, BLOBS], "readwrite");
+      for (const id of [].concat(ids)) {
+        tx.objectStore(ITEMS).delete(id);
+        tx.objectStore(BLOBS).delete(id);
+      }
+      await transactionDone(tx);
+    },
+
+    // Ids of the oldest items beyond a (lowered) quota; nothing is deleted.
+    async overQuota(quota = DEFAULT_QUOTA) {
+      return planTrim(await listItems(), { ...DEFAULT_QUOTA, ...quota });
+    },
+  };
+}
+
+// Same API, kept in memory, for browsers without IndexedDB (e.g. some private modes).
+function createMemoryStore() {
+  const items = new Map();
+  const blobs = new Map();
+
+  return {
+    persistent: false,
+
+    async list() {
+      return [...items.values()].sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async getBlob(id) {
+      return blobs.get(id) ?? null;
+    },
+
+    async add(blob, extra = {}, quota = DEFAULT_QUOTA) {
+      const thumbnail = extra.thumbnail ?? (await createThumbnail(blob));
+      const item = buildItem(blob, thumbnail, extra);
+      const evicted = planEviction([...items.values()], item, {
+        ...DEFAULT_QUOTA,
+        ...quota,
+      });
+      await this.remove(evicted);
+      items.set(item.id, item);
+      blobs.set(item.id, blob);
+      return { item, evicted };
+    },
+
+    async replace(id, blob, extra = {}) {
+      const existing = items.get(id);
+      if (!existing) return null;
+      const thumbnail = extra.thumbnail ?? (await createThumbnail(blob));
+      const item = replacedItem(existing, blob, thumbnail, extra);
+      items.set(id, item);
+      blobs.set(id, blob);
+      return item;
+    },
+
+    async remove(ids) {
+      for (const id of [].concat(ids)) {
+        items.delete(id);
+        blobs.delete(id);
+      }
+    },
+
+    async overQuota(quota = DEFAULT_QUOTA) {
+      return planTrim([...items.values()], { ...DEFAULT_QUOTA, ...quota });
+    },
+  };
+}
+
+export async function openGalleryStore() {
+  if (typeof indexedDB === "undefined") return createMemoryStore();
+  try {
+    const store = createIndexedDbStore();
+    await store.list();
+    return store;
+  } catch (e) {
+    console.warn("IndexedDB unavailable, gallery will not persist:", e);
+    return createMemoryStore();
+  }
+}
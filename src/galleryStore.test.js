@@ -0,0 +1,22 @@
+import { describe, expect, it } from "vitest";
+import { planTrim } from "./galleryStore";
+
+const items = [
+  { id: "a", createdAt: 1, size: 10 },
+  { id: "c", createdAt: 3, size: 10 },
+  { id: "b", createdAt: 2, size: 10 },
+];
+
+describe("planTrim", () => {
+  it("keeps everything within the quota", () => {
+    expect(planTrim(items, { maxItems: 3, maxBytes: 30 })).toEqual([]);
+  });
+
+  it("trims the oldest items beyond the count", () => {
+    expect(planTrim(items, { maxItems: 1, maxBytes: 100 })).toEqual(["b", "a"]);
+  });
+
+  it("trims the oldest items beyond the size", () => {
+    expect(planTrim(items, { maxItems: 10, maxBytes: 25 })).toEqual(["a"]);
+  });
+});
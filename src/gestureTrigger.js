@@ -0,0 +1,171 @@
+// Turns per-frame hand gestures into actions (hold + edge + cooldown, swipes)
+// and runs the capture countdown. Clock-driven: callers pass `now` in ms, so
+// the tracker and headless replays (see replayActions.js) share the logic.
+import { ACTIONS, resolveAction } from "./bindings";
+import { createSwipeDetector } from "./swipe";
+
+export function createGestureTrigger({ swipeOptions } = {}) {
+  // per hand track id: { gesture, since, armed }
+  const holds = new Map();
+  const swipes = createSwipeDetector(swipeOptions);
+  let lastActionAt = -Infinity;
+
+  return {
+    // hands: [{ id, side, pred, gesture: { name, confidence }, action, holdMs }]
+    // run(action, context) returns true when the action was consumed, which
+    // starts the cooldown and disarms the gesture until it changes.
+    // isReserved(gesture) skips gestures another mode consumes.
+    update(
+      hands,
+      now,
+      {
+        bindings,
+        holdMs,
+        cooldownMs,
+        frameWidth,
+        mirrored = false,
+        swipesEnabled = true,
+        isReserved = () => false,
+        run,
+      }
+    ) {
+      const cooledDown = now - lastActionAt > cooldownMs;
+
+      const liveIds = new Set(hands.map((h) => h.id));
+      for (const id of holds.keys()) {
+        if (!liveIds.has(id)) holds.delete(id);
+      }
+      swipes.retain([...liveIds]);
+
+      for (const hand of hands) {
+        let hold = holds.get(hand.id);
+        if (!hold) {
+          hold = { gesture: null, since: 0, armed: true };
+          holds.set(hand.id, hold);
+        }
+
+        // swipes fire immediately, no hold
+        const swipe =
+          swipesEnabled &&
+          swipes.update(hand.id, hand.pred.keypoints, now, {
+            frameWidth,
+            mirrored,
+          });
+        const swipeAction = swipe && resolveAction(bindings, hand.side, swipe);
+        if (swipeAction && cooledDown) {
+          const context = {
+            side: hand.side,
+            gesture: swipe,
+            confidence: 1,
+            trackId: hand.id,
+          };
+          if (run(swipeAction, context)) {
+            lastActionAt = now;
+            hold.armed = false;
+            continue;
+          }
+        }
+
+        const gesture = hand.gesture.name;
+        if (gesture !== hold.gesture) {
+          hold.gesture = gesture;
+          hold.since = now;
+          hold.armed = true;
+        }
+        if (!hand.action || !hold.armed || isReserved(gesture)) continue;
+
+        const heldLongEnough = now - hold.since >= (hand.holdMs ?? holdMs);
+        if (!heldLongEnough || !cooledDown) continue;
+
+        const context = {
+          side: hand.side,
+          gesture,
+          confidence: hand.gesture.confidence,
+          trackId: hand.id,
+        };
+        if (run(hand.action, context)) {
+          lastActionAt = now;
+          hold.armed = false;
+        }
+      }
+    },
+
+    // Forget held gestures, e.g. while calibration poses are being held.
+    reset() {
+      holds.clear();
+    },
+  };
+}
+
+// Runs one triggered action; the result is what gestureTrigger's run()
+// returns. Capture actions are refused while a countdown or sequence is
+// running, cancel only while one is. handlers: { isCapturing(),
+// startCountdown(action, context), captureNow(action, context),
+// cancelCountdown(), toggleRecording?(action, context), toggleOverlay?(),
+// other?(action, context) }, the last for anything the caller passes on.
+export function dispatchAction(action, context, handlers) {
+  switch (action) {
+    case ACTIONS.START_COUNTDOWN:
+    case ACTIONS.START_BURST:
+    case ACTIONS.START_BOOMERANG:
+      if (handlers.isCapturing()) return false;
+      handlers.startCountdown(action, context);
+      return true;
+    case ACTIONS.CAPTURE_NOW:
+      if (handlers.isCapturing()) return false;
+      handlers.captureNow(action, context);
+      return true;
+    case ACTIONS.CANCEL_COUNTDOWN:
+      if (!handlers.isCapturing()) return false;
+      handlers.cancelCountdown();
+      return true;
+    case ACTIONS.START_RECORDING:
+      handlers.toggleRecording?.(action, context);
+      return true;
+    case ACTIONS.TOGGLE_OVERLAY:
+      handlers.toggleOverlay?.();
+      return true;
+    default:
+      handlers.other?.(action, context);
+      return true;
+  }
+}
+
+// Whole-second countdown driven by tick(now). `payload` comes back from the
+// tick that reaches zero (done: true).
+export function createCountdown() {
+  let endsAt = null;
+  let payload = null;
+
+  return {
+    get active() {
+      return endsAt !== null;
+    },
+
+    start(seconds, now, nextPayload = null) {
+      endsAt = now + seconds * 1000;
+      payload = nextPayload;
+    },
+
+    cancel() {
+      endsAt = null;
+      payload = null;
+    },
+
+    // remaining: whole seconds left, null when idle
+    tick(now) {
+      if (endsAt === null) return { remaining: null, done: false, payload: null };
+      if (now < endsAt) {
+        return {
+          remaining: Math.ceil((endsAt - now) / 1000),
+          done: false,
+          payload: null,
+        };
+      }
+      const fired = payload;
+      endsAt = null;
+      payload = null;
+      return { remaining: null, done: true, payload: fired };
+    },
+  };
+}
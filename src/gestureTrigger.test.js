@@ -0,0 +1,47 @@
+import { describe, expect, it, vi } from "vitest";
+import { ACTIONS } from "./bindings";
+import { dispatchAction } from "./gestureTrigger";
+
+function handlers(capturing) {
+  return {
+    isCapturing: () => capturing,
+    startCountdown: vi.fn(),
+    captureNow: vi.fn(),
+    cancelCountdown: vi.fn(),
+    other: vi.fn(),
+  };
+}
+
+describe("dispatchAction", () => {
+  const context = { side: "Right", gesture: "ok" };
+
+  it("starts captures only while idle", () => {
+    const idle = handlers(false);
+    expect(dispatchAction(ACTIONS.START_BURST, context, idle)).toBe(true);
+    expect(idle.startCountdown).toHaveBeenCalledWith(ACTIONS.START_BURST, context);
+    expect(dispatchAction(ACTIONS.CAPTURE_NOW, context, idle)).toBe(true);
+    expect(idle.captureNow).toHaveBeenCalledTimes(1);
+
+    const busy = handlers(true);
+    expect(dispatchAction(ACTIONS.START_COUNTDOWN, context, busy)).toBe(false);
+    expect(dispatchAction(ACTIONS.CAPTURE_NOW, context, busy)).toBe(false);
+    expect(busy.startCountdown).not.toHaveBeenCalled();
+    expect(busy.captureNow).not.toHaveBeenCalled();
+  });
+
+  it("cancels only while capturing", () => {
+    const idle = handlers(false);
+    expect(dispatchAction(ACTIONS.CANCEL_COUNTDOWN, context, idle)).toBe(false);
+    const busy = handlers(true);
+    expect(dispatchAction(ACTIONS.CANCEL_COUNTDOWN, context, busy)).toBe(true);
+    expect(busy.cancelCountdown).toHaveBeenCalledTimes(1);
+  });
+
+  it("passes other actions on and consumes them", () => {
+    const idle = handlers(false);
+    expect(dispatchAction(ACTIONS.OPEN_GALLERY, context, idle)).toBe(true);
+    expect(idle.other).toHaveBeenCalledWith(ACTIONS.OPEN_GALLERY, context);
+    // optional handlers may be left out
+    expect(dispatchAction(ACTIONS.TOGGLE_OVERLAY, context, idle)).toBe(true);
+  });
+});
@@ -0,0 +1,298 @@
+// Gesture classification from the 21 MediaPipe hand keypoints.
+// React-free so it can be reused by the tracker, replay tools and tests.
+
+export const GESTURES = {
+  NONE: "none",
+  OK: "ok",
+  OPEN_PALM: "open_palm",
+  FIST: "fist",
+  PEACE: "peace",
+  THUMBS_UP: "thumbs_up",
+  POINTING: "pointing",
+  PINCH: "pinch",
+};
+
+export const DEFAULT_THRESHOLDS = {
+  okTouchThreshold: 0.34,
+  indexCurledMax: 1.2,
+  indexCurledMin: 0.2,
+  thumbExtensionMin: 0.28,
+  threeFingersExtensionMin: 0.95,
+  threeFingersToCircleMin: 0.45,
+  fistGuardMin: 0.9,
+  // pinch: the index tip reaches out to the thumb instead of curling into the palm
+  pinchIndexReachMin: 0.8,
+  // a finger is "open" when its tip is this much farther from the wrist than its PIP
+  fingerOpenFactor: 1.08,
+};
+
+export const DEFAULT_MIN_CONFIDENCE = 0.75;
+
+export function dist(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  return Math.hypot(dx, dy);
+}
+
+// Scale-free ratios shared by every recognizer. Returns null for incomplete hands.
+export function measureHand(keypoints, thresholds = DEFAULT_THRESHOLDS) {
+  const kp = keypoints;
+  if (!kp || kp.length < 21) return null;
+
+  const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+
+  const wrist = kp[0];
+  const thumbMcp = kp[2];
+  const thumbIp = kp[3];
+  const thumbTip = kp[4];
+  const indexMcp = kp[5];
+  const indexPip = kp[6];
+  const indexTip = kp[8];
+  const middleMcp = kp[9];
+  const middlePip = kp[10];
+  const middleTip = kp[12];
+  const ringMcp = kp[13];
+  const ringPip = kp[14];
+  const ringTip = kp[16];
+  const pinkyMcp = kp[17];
+  const pinkyPip = kp[18];
+  const pinkyTip = kp[20];
+
+  const handScale = Math.max(dist(wrist, middleMcp), 1);
+  const touchRatio = dist(thumbTip, indexTip) / handScale;
+
+  const indexCurlRatio = dist(indexTip, indexMcp) / handScale;
+  // below ~0.7 the index tip is folded back toward the wrist (fist)
+  const indexReachRatio = dist(indexTip, wrist) / Math.max(dist(indexPip, wrist), 1);
+  const thumbExtensionRatio = dist(thumbTip, thumbMcp) / handScale;
+
+  const middleExt = dist(middleTip, middleMcp) / handScale;
+  const ringExt = dist(ringTip, ringMcp) / handScale;
+  const pinkyExt = dist(pinkyTip, pinkyMcp) / handScale;
+
+  const circleCenter = {
+    x: (thumbTip.x + indexTip.x) / 2,
+    y: (thumbTip.y + indexTip.y) / 2,
+  };
+  const awayAvg =
+    (dist(middleTip, circleCenter) +
+      dist(ringTip, circleCenter) +
+      dist(pinkyTip, circleCenter)) /
+    3 /
+    handScale;
+
+  // Orientation-tolerant extension check:
+  // a finger is considered "open" when tip is farther from wrist than its PIP.
+  const isOpen = (tip, pip) =>
+    dist(tip, wrist) > dist(pip, wrist) * t.fingerOpenFactor;
+  const open = {
+    index: isOpen(indexTip, indexPip),
+    middle: isOpen(middleTip, middlePip),
+    ring: isOpen(ringTip, ringPip),
+    pinky: isOpen(pinkyTip, pinkyPip),
+  };
+  const openCount = Number(open.middle) + Number(open.ring) + Number(open.pinky);
+
+  const avgTipToWrist =
+    (dist(middleTip, wrist) + dist(ringTip, wrist) + dist(pinkyTip, wrist)) / 3;
+  const tipToWristRatio = avgTipToWrist / handScale;
+
+  // thumb is "out" when its tip sits away from the index knuckle
+  const thumbOut =
+    dist(thumbTip, indexMcp) > dist(thumbIp, indexMcp) * t.fingerOpenFactor;
+  // image y grows downward
+  const thumbUp =
+    thumbTip.y < thumbMcp.y &&
+    thumbTip.y < Math.min(indexMcp.y, middleMcp.y, ringMcp.y, pinkyMcp.y);
+
+  return {
+    handScale,
+    touchRatio,
+    indexCurlRatio,
+    indexReachRatio,
+    thumbExtensionRatio,
+    middleExt,
+    ringExt,
+    pinkyExt,
+    threeFingersAvgExt: (middleExt + ringExt + pinkyExt) / 3,
+    awayAvg,
+    open,
+    openCount,
+    tipToWristRatio,
+    notFistLike: tipToWristRatio > t.fistGuardMin,
+    thumbOut,
+    thumbUp,
+  };
+}
+
+// fraction of checks that passed, used as a coarse confidence
+function agreement(checks) {
+  return checks.filter(Boolean).length / checks.length;
+}
+
+function recognizeOk(f, t) {
+  const strictOk =
+    f.touchRatio < t.okTouchThreshold &&
+    f.indexCurlRatio > t.indexCurledMin &&
+    f.indexCurlRatio < t.indexCurledMax &&
+    f.thumbExtensionRatio > t.thumbExtensionMin &&
+    f.openCount >= 2 &&
+    f.awayAvg > t.threeFingersToCircleMin &&
+    f.notFistLike;
+  if (strictOk) return 1;
+
+  // Moderate OK sign fallback (still rejects pinch/fist):
+  // - touch must be close
+  // - middle+ring+pinky should generally be farther from wrist than index
+  // - not fist-like
+  const moderateOk =
+    f.touchRatio < t.okTouchThreshold * 1.08 &&
+    f.thumbExtensionRatio > t.thumbExtensionMin * 0.9 &&
+    f.threeFingersAvgExt > f.indexCurlRatio + 0.1 &&
+    (f.threeFingersAvgExt > t.threeFingersExtensionMin * 0.95 ||
+      f.openCount >= 2) &&
+    f.awayAvg > t.threeFingersToCircleMin * 0.9 &&
+    f.notFistLike;
+  return moderateOk ? 0.8 : 0;
+}
+
+function recognizePinch(f, t) {
+  // thumb + index touching while the other fingers are folded (unlike OK).
+  // A fist also puts the thumb next to the curled index, so the index has to
+  // reach out to the thumb.
+  if (f.touchRatio >= t.okTouchThreshold) return 0;
+  if (f.indexReachRatio < t.pinchIndexReachMin) return 0;
+  return agreement([
+    f.openCount === 0,
+    !f.open.middle,
+    f.thumbExtensionRatio > t.thumbExtensionMin,
+  ]);
+}
+
+function recognizeOpenPalm(f, t) {
+  return agreement([
+    f.open.index,
+    f.open.middle,
+    f.open.ring,
+    f.open.pinky,
+    f.thumbOut,
+    f.touchRatio > t.okTouchThreshold * 2,
+  ]);
+}
+
+function recognizeFist(f, t) {
+  return agreement([
+    !f.open.index,
+    !f.open.middle,
+    !f.open.ring,
+    !f.open.pinky,
+    !f.notFistLike,
+    !f.thumbUp || f.thumbExtensionRatio < t.thumbExtensionMin,
+  ]);
+}
+
+function recognizePeace(f, t) {
+  return agreement([
+    f.open.index,
+    f.open.middle,
+    !f.open.ring,
+    !f.open.pinky,
+    f.touchRatio > t.okTouchThreshold,
+  ]);
+}
+
+function recognizeThumbsUp(f, t) {
+  return agreement([
+    f.thumbUp,
+    f.thumbOut,
+    f.thumbExtensionRatio > t.thumbExtensionMin,
+    !f.open.index,
+    !f.open.middle,
+    !f.open.ring,
+    !f.open.pinky,
+  ]);
+}
+
+function recognizePointing(f, t) {
+  return agreement([
+    f.open.index,
+    !f.open.middle,
+    !f.open.ring,
+    !f.open.pinky,
+    f.touchRatio > t.okTouchThreshold,
+  ]);
+}
+
+// name -> recognizer(features, thresholds, keypoints) => confidence in [0, 1]
+const registry = new Map([
+  [GESTURES.OK, recognizeOk],
+  [GESTURES.PINCH, recognizePinch],
+  [GESTURES.OPEN_PALM, recognizeOpenPalm],
+  [GESTURES.FIST, recognizeFist],
+  [GESTURES.PEACE, recognizePeace],
+  [GESTURES.THUMBS_UP, recognizeThumbsUp],
+  [GESTURES.POINTING, recognizePointing],
+]);
+
+export function registerGesture(name, recognizer) {
+  if (!name || name === GESTURES.NONE) {
+    throw new Error(`Invalid gesture name: ${name}`);
+  }
+  if (typeof recognizer !== "function") {
+    throw new TypeError(`Recognizer for "${name}" must be a function.`);
+  }
+  registry.set(name, recognizer);
+  return () => {
+    if (registry.get(name) === recognizer) registry.delete(name);
+  };
+}
+
+export function unregisterGesture(name) {
+  return registry.delete(name);
+}
+
+export function listGestures() {
+  return [...registry.keys()];
+}
+
+const NO_GESTURE = { name: GESTURES.NONE, confidence: 0, scores: {} };
+
+// Runs every registered recognizer and returns the best match above minConfidence.
+export function classifyGesture(keypoints, options = {}) {
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
+  const minConfidence = options.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+
+  const features = measureHand(keypoints, thresholds);
+  if (!features) return NO_GESTURE;
+
+  const scores = {};
+  let best = { name: GESTURES.NONE, confidence: 0 };
+  let tied = false;
+
+  for (const [name, recognize] of registry) {
+    const confidence = Math.max(
+      0,
+      Math.min(1, Number(recognize(features, thresholds, keypoints)) || 0)
+    );
+    scores[name] = confidence;
+    if (confidence > best.confidence) {
+      best = { name, confidence };
+      tied = false;
+    } else if (confidence > 0 && confidence === best.confidence) {
+      tied = true;
+    }
+  }
+
+  // Two gestures matching equally well is an ambiguous pose; firing either
+  // would be a guess, so nothing is reported.
+  if (tied || best.confidence < minConfidence) {
+    return { name: GESTURES.NONE, confidence: 0, scores };
+  }
+  return { ...best, scores };
+}
+
+export function isOkSign(keypoints, thresholds = DEFAULT_THRESHOLDS) {
+  const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const features = measureHand(keypoints, t);
+  return !!features && recognizeOk(features, t) > 0;
+}
@@ -0,0 +1,128 @@
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  GESTURES,
+  classifyGesture,
+  isOkSign,
+  measureHand,
+  registerGesture,
+} from "./gestures";
+
+// Palm facing the camera, fingers up (image y grows downward), wrist at the
+// origin and about 95 px from wrist to middle knuckle.
+const WRIST = { x: 0, y: 0 };
+const KNUCKLES = {
+  index: { x: -25, y: -90 },
+  middle: { x: -5, y: -95 },
+  ring: { x: 15, y: -90 },
+  pinky: { x: 32, y: -80 },
+};
+
+function point(x, y) {
+  return { x, y };
+}
+
+// [mcp, pip, dip, tip] of a finger pointing straight up
+function openFinger(mcp) {
+  return [mcp, point(mcp.x, mcp.y - 40), point(mcp.x, mcp.y - 65), point(mcp.x, mcp.y - 87)];
+}
+
+// folded onto the palm: seen from the front the tip ends below the knuckle
+function curledFinger(mcp) {
+  return [mcp, point(mcp.x, mcp.y - 15), point(mcp.x, mcp.y + 5), point(mcp.x, mcp.y + 20)];
+}
+
+function hand({ thumb, index, middle, ring, pinky }) {
+  return [WRIST, ...thumb, ...index, ...middle, ...ring, ...pinky];
+}
+
+const OPEN_THUMB = [point(-20, -20), point(-45, -40), point(-62, -58), point(-75, -72)];
+
+const FIST = hand({
+  // thumb wrapped across the curled index and middle fingers
+  thumb: [point(-20, -20), point(-35, -40), point(-30, -65), point(-10, -80)],
+  index: curledFinger(KNUCKLES.index),
+  middle: curledFinger(KNUCKLES.middle),
+  ring: curledFinger(KNUCKLES.ring),
+  pinky: curledFinger(KNUCKLES.pinky),
+});
+
+const PINCH = hand({
+  thumb: [point(-20, -20), point(-40, -45), point(-50, -75), point(-52, -98)],
+  // index bent forward to meet the thumb tip in front of the palm
+  index: [KNUCKLES.index, point(-30, -120), point(-42, -115), point(-50, -105)],
+  middle: curledFinger(KNUCKLES.middle),
+  ring: curledFinger(KNUCKLES.ring),
+  pinky: curledFinger(KNUCKLES.pinky),
+});
+
+const OK = hand({
+  thumb: [point(-20, -20), point(-40, -45), point(-50, -70), point(-50, -92)],
+  index: [KNUCKLES.index, point(-30, -115), point(-42, -108), point(-48, -95)],
+  middle: openFinger(KNUCKLES.middle),
+  ring: openFinger(KNUCKLES.ring),
+  pinky: openFinger(KNUCKLES.pinky),
+});
+
+const OPEN_PALM = hand({
+  thumb: OPEN_THUMB,
+  index: openFinger(KNUCKLES.index),
+  middle: openFinger(KNUCKLES.middle),
+  ring: openFinger(KNUCKLES.ring),
+  pinky: openFinger(KNUCKLES.pinky),
+});
+
+describe("classifyGesture", () => {
+  it("recognizes a fist and not a pinch", () => {
+    const result = classifyGesture(FIST);
+    expect(result.name).toBe(GESTURES.FIST);
+    expect(result.scores[GESTURES.PINCH]).toBe(0);
+    expect(result.scores[GESTURES.OK]).toBe(0);
+  });
+
+  it("recognizes a pinch and not a fist", () => {
+    const result = classifyGesture(PINCH);
+    expect(result.name).toBe(GESTURES.PINCH);
+    expect(result.scores[GESTURES.FIST]).toBeLessThan(result.confidence);
+    expect(result.scores[GESTURES.OK]).toBe(0);
+  });
+
+  it("recognizes an OK sign and not a pinch", () => {
+    const result = classifyGesture(OK);
+    expect(result.name).toBe(GESTURES.OK);
+    expect(result.scores[GESTURES.PINCH]).toBeLessThan(0.5);
+    expect(isOkSign(OK)).toBe(true);
+    expect(isOkSign(FIST)).toBe(false);
+    expect(isOkSign(PINCH)).toBe(false);
+  });
+
+  it("recognizes an open palm", () => {
+    expect(classifyGesture(OPEN_PALM).name).toBe(GESTURES.OPEN_PALM);
+  });
+
+  it("tells a curled index from one reaching out", () => {
+    expect(measureHand(FIST).indexReachRatio).toBeLessThan(0.8);
+    expect(measureHand(PINCH).indexReachRatio).toBeGreaterThanOrEqual(0.8);
+  });
+
+  it("returns none for incomplete hands", () => {
+    expect(classifyGesture(FIST.slice(0, 10)).name).toBe(GESTURES.NONE);
+  });
+
+  describe("ties", () => {
+    let unregister = null;
+    afterEach(() => unregister?.());
+
+    it("reports none when two gestures match equally well", () => {
+      unregister = registerGesture("also_fist", () => 1);
+      const result = classifyGesture(FIST);
+      expect(result.name).toBe(GESTURES.NONE);
+      expect(result.scores.also_fist).toBe(1);
+      expect(result.scores[GESTURES.FIST]).toBe(1);
+    });
+
+    it("keeps the stronger match when scores differ", () => {
+      unregister = registerGesture("loose_fist", () => 0.8);
+      expect(classifyGesture(FIST).name).toBe(GESTURES.FIST);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+// Hand skeleton drawing shared by the live overlay, captures that include it
+// and annotated copies rendered later from stored keypoints.
+
+export const HAND_CONNECTIONS = [
+  [0, 1],[1, 2],[2, 3],[3, 4],
+  [0, 5],[5, 6],[6, 7],[7, 8],
+  [0, 9],[9,10],[10,11],[11,12],
+  [0,13],[13,14],[14,15],[15,16],
+  [0,17],[17,18],[18,19],[19,20],
+  [5, 9],[9,13],[13,17],
+];
+
+export function drawHand(ctx, keypoints, { active = false } = {}) {
+  const kp = keypoints;
+  if (!kp || kp.length < 21) return;
+
+  // skeleton
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = "rgba(255,255,255,0.55)";
+  ctx.beginPath();
+  for (const [a, b] of HAND_CONNECTIONS) {
+    const pa = kp[a];
+    const pb = kp[b];
+    if (!pa || !pb) continue;
+    ctx.moveTo(pa.x, pa.y);
+    ctx.lineTo(pb.x, pb.y);
+  }
+  ctx.stroke();
+
+  // points
+  for (const p of kp) {
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+    ctx.fillStyle = "rgba(106,166,255,0.9)";
+    ctx.fill();
+  }
+
+  // thumb-index line
+  const thumbTip = kp[4];
+  const indexTip = kp[8];
+  ctx.beginPath();
+  ctx.moveTo(thumbTip.x, thumbTip.y);
+  ctx.lineTo(indexTip.x, indexTip.y);
+  ctx.lineWidth = 5;
+  ctx.strokeStyle = active ? "rgba(0,255,140,0.95)" : "rgba(255,255,255,0.35)";
+  ctx.stroke();
+}
+
+export function handLabel(side, gesture) {
+  const parts = [side, gesture && gesture !== "none" ? gesture : null];
+  return parts.filter(Boolean).join(" · ").replace(/_/g, " ");
+}
+
+// Label pill under the wrist. With `mirrored`, the caller's canvas is flipped
+// as a whole, so the text is flipped back to stay readable.
+export function drawHandLabel(ctx, keypoints, text, { mirrored = false } = {}) {
+  const wrist = keypoints?.[0];
+  if (!wrist || !text) return;
+
+  const fontSize = 14;
+  const padX = 7;
+  const height = fontSize + 8;
+
+  ctx.save();
+  ctx.translate(wrist.x, wrist.y + 12);
+  if (mirrored) ctx.scale(-1, 1);
+  ctx.font = `600 ${fontSize}px system-ui, sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  const width = ctx.measureText(text).width + padX * 2;
+
+  ctx.fillStyle = "rgba(0,0,0,0.55)";
+  ctx.beginPath();
+  ctx.roundRect(-width / 2, 0, width, height, height / 2);
+  ctx.fill();
+  ctx.fillStyle = "#fff";
+  ctx.fillText(text, 0, height / 2);
+  ctx.restore();
+}
+
+// hands: [{ keypoints, label, active }] in source coordinates
+export function drawHandOverlay(ctx, hands, { mirrored = false } = {}) {
+  for (const hand of hands) {
+    drawHand(ctx, hand.keypoints, { active: hand.active });
+    drawHandLabel(ctx, hand.keypoints, hand.label, { mirrored });
+  }
+}
+
+// Hands as stored in capture metadata; keypoints at the moment of capture
+// when available, otherwise the ones recorded when the gesture fired.
+export function metadataHands(metadata) {
+  const hands = metadata?.hands ?? metadata?.trigger?.hands ?? [];
+  return hands.map((hand) => ({
+    keypoints: hand.keypoints,
+    label: handLabel(hand.side, hand.gesture),
+    active: false,
+  }));
+}
+
+// Edited photos no longer line up with the stored keypoints.
+export function canAnnotate(photo) {
+  return (
+    photo?.type === "image/jpeg" &&
+    !photo.metadata?.edits &&
+    metadataHands(photo.metadata).length > 0
+  );
+}
+
+// Re-renders the overlay onto a stored photo. Keypoints are in unmirrored
+// video coordinates, so they are scaled to the photo and flipped with it.
+export async function renderAnnotatedCopy(blob, metadata, { quality = 0.92 } = {}) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close?.();
+
+  const video = metadata?.video ?? {};
+  const sx = canvas.width / Math.max(1, video.width ?? canvas.width);
+  const sy = canvas.height / Math.max(1, video.height ?? canvas.height);
+  const mirrored = !!video.mirrored;
+
+  ctx.save();
+  if (mirrored) {
+    ctx.translate(canvas.width, 0);
+    ctx.scale(-1, 1);
+  }
+  ctx.scale(sx, sy);
+  drawHandOverlay(ctx, metadataHands(metadata), { mirrored });
+  ctx.restore();
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (out) => (out ? resolve(out) : reject(new Error("Could not encode image."))),
+      "image/jpeg",
+      quality
+    );
+  });
+}
@@ -0,0 +1,154 @@
+// Frame-to-frame hand identity: gives each detected hand a persistent track id
+// and a physical left/right side, so per-hand state survives hands crossing
+// or briefly leaving the frame.
+import { dist } from "./gestures";
+
+export const DEFAULT_TRACKER_OPTIONS = {
+  // max palm-centre movement between frames, in hand-scale units
+  maxMatchDistance: 2.5,
+  // keep unmatched tracks alive this many frames before dropping them
+  maxMissedFrames: 4,
+  // added to the match cost when the model's handedness disagrees with the track
+  handednessPenalty: 0.75,
+  // MediaPipe labels handedness assuming a mirrored (selfie) image
+  mirroredInput: false,
+};
+
+const PALM_POINTS = [0, 5, 9, 13, 17];
+
+export function palmCenter(kp) {
+  let x = 0;
+  let y = 0;
+  for (const i of PALM_POINTS) {
+    x += kp[i].x;
+    y += kp[i].y;
+  }
+  return { x: x / PALM_POINTS.length, y: y / PALM_POINTS.length };
+}
+
+// Physical hand from the model label; null when the model gave none.
+export function sideFromHandedness(handedness, mirroredInput = false) {
+  const label = String(handedness || "").toLowerCase();
+  if (label !== "left" && label !== "right") return null;
+  if (mirroredInput) return label;
+  return label === "left" ? "right" : "left";
+}
+
+function describe(pred, frameWidth, mirroredInput) {
+  const kp = pred.keypoints;
+  const center = palmCenter(kp);
+  const scale = Math.max(dist(kp[0], kp[9]), 1);
+  const modelSide = sideFromHandedness(pred.handedness, mirroredInput);
+
+  // Without a model label, guess from position: in an unmirrored frame the
+  // user's right hand appears on the image's left half.
+  const positionalSide =
+    center.x < frameWidth / 2 !== mirroredInput ? "right" : "left";
+
+  return { pred, center, scale, modelSide, positionalSide };
+}
+
+export function createHandTracker(options = {}) {
+  const opts = { ...DEFAULT_TRACKER_OPTIONS, ...options };
+  let tracks = [];
+  let nextId = 1;
+
+  function sideOf(track) {
+    return track.votes.left >= track.votes.right ? "left" : "right";
+  }
+
+  function vote(track, det) {
+    // decay old votes so a persistent relabel wins within a few frames
+    track.votes.left *= 0.8;
+    track.votes.right *= 0.8;
+    if (det.modelSide) {
+      track.votes[det.modelSide] += det.pred.score ?? 1;
+    } else {
+      track.votes[det.positionalSide] += 0.25;
+    }
+  }
+
+  return {
+    update(predictions, timeMs, frameWidth = 0) {
+      const hands = (predictions || []).filter(
+        (p) => p?.keypoints?.length >= 21
+      );
+      const width =
+        frameWidth ||
+        Math.max(1, ...hands.flatMap((p) => p.keypoints.map((k) => k.x)));
+      const dets = hands.map((p) => describe(p, width, opts.mirroredInput));
+
+      // candidate pairs, cheapest first (greedy assignment is plenty for <= 4 hands)
+      const pairs = [];
+      tracks.forEach((track, ti) => {
+        dets.forEach((det, di) => {
+          const moved =
+            dist(track.center, det.center) / Math.max(track.scale, det.scale);
+          if (moved > opts.maxMatchDistance) return;
+
+          const mismatch =
+            det.modelSide && det.modelSide !== sideOf(track)
+              ? opts.handednessPenalty
+              : 0;
+          pairs.push({ ti, di, cost: moved + mismatch });
+        });
+      });
+      pairs.sort((a, b) => a.cost - b.cost);
+
+      const usedTracks = new Set();
+      const usedDets = new Set();
+      for (const { ti, di } of pairs) {
+        if (usedTracks.has(ti) || usedDets.has(di)) continue;
+        usedTracks.add(ti);
+        usedDets.add(di);
+
+        const track = tracks[ti];
+        const det = dets[di];
+        track.pred = det.pred;
+        track.center = det.center;
+        track.scale = det.scale;
+        track.missed = 0;
+        track.lastSeenAt = timeMs;
+        track.age += 1;
+        vote(track, det);
+      }
+
+      tracks.forEach((track, ti) => {
+        if (!usedTracks.has(ti)) track.missed += 1;
+      });
+      tracks = tracks.filter((t) => t.missed <= opts.maxMissedFrames);
+
+      dets.forEach((det, di) => {
+        if (usedDets.has(di)) return;
+        const track = {
+          id: nextId++,
+          pred: det.pred,
+          center: det.center,
+          scale: det.scale,
+          votes: { left: 0, right: 0 },
+          missed: 0,
+          age: 1,
+          firstSeenAt: timeMs,
+          lastSeenAt: timeMs,
+        };
+        vote(track, det);
+        tracks.push(track);
+      });
+
+      return tracks
+        .filter((t) => t.missed === 0)
+        .map((t) => ({
+          id: t.id,
+          side: sideOf(t),
+          handedness: t.pred.handedness ?? null,
+          score: t.pred.score ?? null,
+          pred: t.pred,
+          age: t.age,
+        }));
+    },
+
+    reset() {
+      tracks = [];
+    },
+  };
+}
@@ -0,0 +1,136 @@
+// Decides when to run hand inference. It measures detector latency and
+// stretches the interval so inference stays within a share of the frame time,
+// optionally lowering the detector input resolution when the device is slow.
+// Also keeps the render/inference rates for the performance HUD.
+
+export const DEFAULT_SCHEDULER_OPTIONS = {
+  // share of wall time inference may use (most runtimes block the main thread)
+  budget: 0.5,
+  minFps: 4,
+  // latency samples kept for percentiles
+  sampleSize: 60,
+  // detector input scales, tried in order as the device struggles
+  scales: [1, 0.75, 0.5],
+  // wait this long after a scale change before judging it
+  scaleSettleMs: 2000,
+  // EWMA weight of the newest latency sample
+  smoothing: 0.2,
+};
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+}
+
+// Events per second over the last second.
+function rate(times, now) {
+  while (times.length && now - times[0] > 1000) times.shift();
+  return times.length;
+}
+
+function record(times, now) {
+  times.push(now);
+  rate(times, now);
+}
+
+// Maps keypoints from a downscaled detector input back to video pixels.
+export function scalePredictions(predictions, factor) {
+  return predictions.map((p) => ({
+    ...p,
+    keypoints: p.keypoints.map((k) => ({ ...k, x: k.x * factor, y: k.y * factor })),
+  }));
+}
+
+export function createInferenceScheduler(options = {}) {
+  const opts = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+  let maxFps = 15;
+  let adaptive = true;
+  let adaptiveResolution = false;
+
+  let intervalMs = 1000 / maxFps;
+  let lastInferAt = -Infinity;
+  let ewma = null;
+  let scaleIndex = 0;
+  let scaleChangedAt = 0;
+  const latencies = [];
+  const inferTimes = [];
+  const frameTimes = [];
+
+  function adapt(now) {
+    const fastest = 1000 / maxFps;
+    if (!adaptive || ewma === null) {
+      intervalMs = fastest;
+      return;
+    }
+
+    const needed = ewma / opts.budget;
+    intervalMs = Math.min(1000 / opts.minFps, Math.max(fastest, needed));
+
+    if (!adaptiveResolution || now - scaleChangedAt < opts.scaleSettleMs) return;
+    const last = opts.scales.length - 1;
+    if (needed > fastest * 1.25 && scaleIndex < last) {
+      scaleIndex++;
+    } else if (needed < fastest * 0.5 && scaleIndex > 0) {
+      scaleIndex--;
+    } else {
+      return;
+    }
+    // latency at the new size is measured from scratch
+    scaleChangedAt = now;
+    ewma = null;
+  }
+
+  return {
+    configure({
+      maxFps: nextMaxFps = maxFps,
+      adaptive: nextAdaptive = adaptive,
+      adaptiveResolution: nextAdaptiveResolution = adaptiveResolution,
+    }) {
+      maxFps = Math.max(1, nextMaxFps);
+      adaptive = nextAdaptive;
+      adaptiveResolution = nextAdaptive && nextAdaptiveResolution;
+      if (!adaptiveResolution) scaleIndex = 0;
+      adapt(performance.now());
+    },
+
+    get inputScale() {
+      return opts.scales[scaleIndex];
+    },
+
+    // True (and counted as started) when inference is due.
+    shouldInfer(now) {
+      if (now - lastInferAt < intervalMs) return false;
+      lastInferAt = now;
+      return true;
+    },
+
+    recordInference(latencyMs, now) {
+      latencies.push(latencyMs);
+      if (latencies.length > opts.sampleSize) latencies.shift();
+      record(inferTimes, now);
+      ewma =
+        ewma === null
+          ? latencyMs
+          : ewma + opts.smoothing * (latencyMs - ewma);
+      adapt(now);
+    },
+
+    recordFrame(now) {
+      record(frameTimes, now);
+    },
+
+    stats(now) {
+      const sorted = [...latencies].sort((a, b) => a - b);
+      return {
+        renderFps: rate(frameTimes, now),
+        inferenceFps: rate(inferTimes, now),
+        intervalMs,
+        inputScale: opts.scales[scaleIndex],
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99),
+      };
+    },
+  };
+}
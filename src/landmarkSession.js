@@ -0,0 +1,160 @@
+// Record estimateHands output to JSON and replay it through a detector-shaped object,
+// so gesture triggering can be exercised without a webcam or the model.
+import { downloadBlob } from "./download";
+
+export const SESSION_VERSION = 1;
+
+function serializeHand(hand) {
+  return {
+    handedness: hand.handedness ?? null,
+    score: hand.score ?? null,
+    keypoints: (hand.keypoints || []).map((p) => ({
+      x: p.x,
+      y: p.y,
+      ...(p.z !== undefined && { z: p.z }),
+      ...(p.name && { name: p.name }),
+    })),
+    ...(hand.keypoints3D && {
+      keypoints3D: hand.keypoints3D.map((p) => ({
+        x: p.x,
+        y: p.y,
+        z: p.z,
+        ...(p.name && { name: p.name }),
+      })),
+    }),
+  };
+}
+
+export function createSessionRecorder({ now = () => performance.now() } = {}) {
+  let startedAt = null;
+  let frames = [];
+  let video = null;
+
+  return {
+    get frameCount() {
+      return frames.length;
+    },
+
+    setVideoSize(width, height) {
+      video = { width, height };
+    },
+
+    record(predictions, at = now()) {
+      if (startedAt === null) startedAt = at;
+      frames.push({
+        t: Math.round((at - startedAt) * 10) / 10,
+        hands: (predictions || []).map(serializeHand),
+      });
+    },
+
+    reset() {
+      startedAt = null;
+      frames = [];
+    },
+
+    toJSON() {
+      return {
+        version: SESSION_VERSION,
+        createdAt: new Date().toISOString(),
+        userAgent: typeof navigator === "undefined" ? null : navigator.userAgent,
+        video,
+        frames,
+      };
+    },
+
+    download(filename = `landmarks-${Date.now()}.json`) {
+      const blob = new Blob([JSON.stringify(this.toJSON())], {
+        type: "application/json",
+      });
+      downloadBlob(blob, filename);
+    },
+  };
+}
+
+export function parseSession(input) {
+  const session = typeof input === "string" ? JSON.parse(input) : input;
+  if (!session || !Array.isArray(session.frames)) {
+    throw new Error("Invalid landmark session: missing frames.");
+  }
+  if (session.version !== SESSION_VERSION) {
+    throw new Error(
+      `Unsupported landmark session version: ${session.version} (expected ${SESSION_VERSION}).`
+    );
+  }
+  return session;
+}
+
+export async function readSessionFile(file) {
+  return parseSession(await file.text());
+}
+
+// Drop-in for a hand-pose-detection detector.
+// realtime: pick the frame matching elapsed wall time since the first call.
+// otherwise: return the next frame on every call (deterministic, for headless runs).
+export function createReplayDetector(
+  session,
+  { loop = false, realtime = true, now = () => performance.now() } = {}
+) {
+  const parsed = parseSession(session);
+  const { frames } = parsed;
+  const duration = frames.length ? frames[frames.length - 1].t : 0;
+  let startedAt = null;
+  let cursor = 0;
+  let disposed = false;
+
+  function frameAtTime(elapsed) {
+    const t = loop && duration > 0 ? elapsed % duration : elapsed;
+    if (!loop && t > duration) return null;
+
+    // frames are time-ordered; keep the cursor moving forward
+    if (t < frames[cursor]?.t) cursor = 0;
+    while (cursor + 1 < frames.length && frames[cursor + 1].t <= t) cursor++;
+    return frames[cursor];
+  }
+
+  function nextFrame() {
+    if (cursor >= frames.length) {
+      if (!loop) return null;
+      cursor = 0;
+    }
+    return frames[cursor++];
+  }
+
+  return {
+    isReplay: true,
+    video: parsed.video ?? null,
+
+    get finished() {
+      return !loop && cursor >= frames.length;
+    },
+
+    async estimateHands() {
+      if (disposed || !frames.length) return [];
+
+      let frame;
+      if (realtime) {
+        const at = now();
+        if (startedAt === null) startedAt = at;
+        frame = frameAtTime(at - startedAt);
+        if (!frame) cursor = frames.length;
+      } else {
+        frame = nextFrame();
+      }
+
+      // hand out copies so callers can't mutate the recording
+      return (frame?.hands || []).map((h) => ({
+        ...h,
+        keypoints: h.keypoints.map((p) => ({ ...p })),
+      }));
+    },
+
+    reset() {
+      startedAt = null;
+      cursor = 0;
+    },
+
+    dispose() {
+      disposed = true;
+    },
+  };
+}
@@ -0,0 +1,194 @@
+// Non-destructive photo edits (crop, rotate/flip, tone adjustments) and
+// rendering them onto a canvas. Crop rectangles are normalized (0..1) in the
+// oriented image, i.e. after rotation and flips.
+
+export const FULL_CROP = { x: 0, y: 0, w: 1, h: 1 };
+
+export const DEFAULT_EDITS = {
+  rotation: 0,
+  flipH: false,
+  flipV: false,
+  aspect: "free",
+  crop: FULL_CROP,
+  // -100..100, 0 leaves the photo unchanged
+  brightness: 0,
+  contrast: 0,
+  saturation: 0,
+};
+
+export const ADJUSTMENTS = [
+  { key: "brightness", label: "Brightness" },
+  { key: "contrast", label: "Contrast" },
+  { key: "saturation", label: "Saturation" },
+];
+
+export const ASPECT_PRESETS = [
+  { id: "free", label: "Free" },
+  { id: "original", label: "Original" },
+  { id: "1:1", label: "Square", ratio: 1 },
+  { id: "4:3", label: "4:3", ratio: 4 / 3 },
+  { id: "3:4", label: "3:4", ratio: 3 / 4 },
+  { id: "16:9", label: "16:9", ratio: 16 / 9 },
+  { id: "9:16", label: "9:16", ratio: 9 / 16 },
+];
+
+const MIN_CROP = 0.05;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Still images only; clips and animated boomerangs can't be edited.
+export function isEditable(photo) {
+  return photo?.type === "image/jpeg" || photo?.type === "image/png";
+}
+
+export function isUnedited(edits) {
+  return Object.keys(DEFAULT_EDITS).every((key) =>
+    key === "crop"
+      ? ["x", "y", "w", "h"].every((k) => edits.crop[k] === FULL_CROP[k])
+      : key === "aspect" || edits[key] === DEFAULT_EDITS[key]
+  );
+}
+
+export function orientedSize(width, height, rotation) {
+  return rotation % 180 === 0
+    ? { width, height }
+    : { width: height, height: width };
+}
+
+// Width/height ratio in pixels for an aspect preset, null for free cropping.
+// "original" keeps the shape of the oriented photo.
+export function aspectRatio(aspect, width, height) {
+  if (aspect === "original") return width / height;
+  return ASPECT_PRESETS.find((p) => p.id === aspect)?.ratio ?? null;
+}
+
+// Largest crop with the given pixel ratio around the current crop's centre.
+export function fitCrop(crop, ratio, width, height) {
+  if (!ratio) return crop;
+  const cx = crop.x + crop.w / 2;
+  const cy = crop.y + crop.h / 2;
+  // normalized width per normalized height for this ratio
+  const k = (ratio * height) / width;
+  let w = Math.min(1, k);
+  let h = w / k;
+  if (h > 1) {
+    h = 1;
+    w = k;
+  }
+  return {
+    x: clamp(cx - w / 2, 0, 1 - w),
+    y: clamp(cy - h / 2, 0, 1 - h),
+    w,
+    h,
+  };
+}
+
+// Drag helpers for the crop box; dx/dy are normalized deltas.
+export function moveCrop(crop, dx, dy) {
+  return {
+    ...crop,
+    x: clamp(crop.x + dx, 0, 1 - crop.w),
+    y: clamp(crop.y + dy, 0, 1 - crop.h),
+  };
+}
+
+export function resizeCrop(crop, dx, dy, ratio, width, height) {
+  let w = clamp(crop.w + dx, MIN_CROP, 1 - crop.x);
+  let h = clamp(crop.h + dy, MIN_CROP, 1 - crop.y);
+  if (ratio) {
+    const k = (ratio * height) / width;
+    h = w / k;
+    if (h > 1 - crop.y) {
+      h = 1 - crop.y;
+      w = h * k;
+    }
+  }
+  return { ...crop, w, h };
+}
+
+// Rotations are in the direction the user sees: with a single flip active the
+// stored rotation turns the other way.
+export function rotateEdits(edits, clockwise, width, height) {
+  const { x, y, w, h } = edits.crop;
+  const crop = clockwise
+    ? { x: 1 - y - h, y: x, w: h, h: w }
+    : { x: y, y: 1 - x - w, w: h, h: w };
+  const step = (clockwise ? 90 : -90) * (edits.flipH !== edits.flipV ? -1 : 1);
+  const rotation = (edits.rotation + step + 360) % 360;
+  const size = orientedSize(width, height, rotation);
+  const ratio = aspectRatio(edits.aspect, size.width, size.height);
+  return {
+    ...edits,
+    rotation,
+    crop: fitCrop(crop, ratio, size.width, size.height),
+  };
+}
+
+export function flipEdits(edits, horizontal) {
+  const { x, y, w, h } = edits.crop;
+  return horizontal
+    ? { ...edits, flipH: !edits.flipH, crop: { x: 1 - x - w, y, w, h } }
+    : { ...edits, flipV: !edits.flipV, crop: { x, y: 1 - y - h, w, h } };
+}
+
+function buildToneLut(brightness, contrast) {
+  const b = 1 + brightness / 100;
+  const c = 1 + contrast / 100;
+  const lut = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    lut[v] = Math.round((v * b - 128) * c + 128);
+  }
+  return lut;
+}
+
+export function applyAdjustments(imageData, { brightness, contrast, saturation }) {
+  const lut = buildToneLut(brightness, contrast);
+  const s = 1 + saturation / 100;
+  const d = imageData.data;
+  for (let i = 0; i < d.length; i += 4) {
+    const r = lut[d[i]];
+    const g = lut[d[i + 1]];
+    const b = lut[d[i + 2]];
+    const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    d[i] = luma + (r - luma) * s;
+    d[i + 1] = luma + (g - luma) * s;
+    d[i + 2] = luma + (b - luma) * s;
+  }
+  return imageData;
+}
+
+// Renders the edits into a new canvas. `maxSide` downscales (for previews);
+// `cropped: false` keeps the whole oriented image so a crop box can be shown.
+export function renderEdits(source, edits, { maxSide = Infinity, cropped = true } = {}) {
+  const { width: ow, height: oh } = orientedSize(
+    source.width,
+    source.height,
+    edits.rotation
+  );
+  const crop = cropped ? edits.crop : FULL_CROP;
+  const cropW = crop.w * ow;
+  const cropH = crop.h * oh;
+  const scale = Math.min(1, maxSide / Math.max(cropW, cropH));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(cropW * scale));
+  canvas.height = Math.max(1, Math.round(cropH * scale));
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+
+  ctx.save();
+  ctx.scale(scale, scale);
+  ctx.translate(-crop.x * ow, -crop.y * oh);
+  ctx.translate(ow / 2, oh / 2);
+  ctx.scale(edits.flipH ? -1 : 1, edits.flipV ? -1 : 1);
+  ctx.rotate((edits.rotation * Math.PI) / 180);
+  ctx.drawImage(source, -source.width / 2, -source.height / 2);
+  ctx.restore();
+
+  if (edits.brightness || edits.contrast || edits.saturation) {
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    ctx.putImageData(applyAdjustments(imageData, edits), 0, 0);
+  }
+  return canvas;
+}
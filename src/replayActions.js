@@ -0,0 +1,83 @@
+// Headless replay: feeds a recorded landmark session frame by frame through
+// hand tracking, gesture classification and the trigger/countdown logic the
+// camera view uses, and reports what would have fired. Runs under Node (tests).
+import { DEFAULT_BINDINGS, resolveBinding } from "./bindings";
+import { classifyGesture } from "./gestures";
+import { createHandTracker } from "./handTracker";
+import { createReplayDetector, parseSession } from "./landmarkSession";
+import { DEFAULT_SETTINGS } from "./settings";
+import {
+  createCountdown,
+  createGestureTrigger,
+  dispatchAction,
+} from "./gestureTrigger";
+
+// Resolves to { actions: [{ t, action, gesture, side }], captures: [{ t, action }] }
+// with t in session milliseconds. Keypoint smoothing is not applied.
+export async function replayActions(
+  session,
+  {
+    bindings = DEFAULT_BINDINGS,
+    holdMs = DEFAULT_SETTINGS.gestureHoldMs,
+    cooldownMs = DEFAULT_SETTINGS.cooldownMs,
+    countdownSeconds = DEFAULT_SETTINGS.countdownSeconds,
+    thresholds,
+  } = {}
+) {
+  const { frames } = parseSession(session);
+  const detector = createReplayDetector(session, { realtime: false });
+  const frameWidth = detector.video?.width ?? 0;
+  const tracker = createHandTracker();
+  const trigger = createGestureTrigger();
+  const countdown = createCountdown();
+  const actions = [];
+  const captures = [];
+
+  // the same dispatch as the camera view; captures are recorded, not taken
+  function run(action, context, t) {
+    const ran = dispatchAction(action, context, {
+      isCapturing: () => countdown.active,
+      startCountdown: (action) => {
+        if (countdownSeconds <= 0) captures.push({ t, action });
+        else countdown.start(countdownSeconds, t, action);
+      },
+      captureNow: (action) => captures.push({ t, action }),
+      cancelCountdown: () => countdown.cancel(),
+    });
+    if (ran) {
+      actions.push({ t, action, gesture: context.gesture, side: context.side });
+    }
+    return ran;
+  }
+
+  for (let i = 0; !detector.finished; i++) {
+    const predictions = await detector.estimateHands();
+    const t = frames[i].t;
+
+    const { done, payload } = countdown.tick(t);
+    if (done) captures.push({ t, action: payload });
+
+    const hands = tracker.update(predictions, t, frameWidth).map((track) => {
+      const gesture = classifyGesture(track.pred.keypoints, { thresholds });
+      const binding = resolveBinding(bindings, track.side, gesture.name);
+      return {
+        id: track.id,
+        side: track.side,
+        pred: track.pred,
+        gesture,
+        action: binding?.action ?? null,
+        holdMs: binding?.holdMs ?? null,
+      };
+    });
+
+    trigger.update(hands, t, {
+      bindings,
+      holdMs,
+      cooldownMs,
+      frameWidth,
+      run: (action, context) => run(action, context, t),
+    });
+  }
+
+  return { actions, captures };
+}
@@ -0,0 +1,44 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { ACTIONS } from "./bindings";
+import { GESTURES } from "./gestures";
+import { replayActions } from "./replayActions";
+
+// 15 fps, one right hand: open palm, OK held (countdown), fist until the
+// capture, OK again, then an open palm held until it cancels.
+const session = JSON.parse(
+  readFileSync(new URL("./__fixtures__/countdown-session.json", import.meta.url))
+);
+
+describe("replayActions", () => {
+  it("starts, captures and cancels countdowns like the camera view", async () => {
+    const { actions, captures } = await replayActions(session);
+
+    expect(actions.map((a) => [a.action, a.gesture])).toEqual([
+      [ACTIONS.START_COUNTDOWN, GESTURES.OK],
+      [ACTIONS.START_COUNTDOWN, GESTURES.OK],
+      [ACTIONS.CANCEL_COUNTDOWN, GESTURES.OPEN_PALM],
+    ]);
+    expect(actions[0].t).toBeGreaterThanOrEqual(2000);
+    expect(actions[2].t - actions[1].t).toBeGreaterThan(1200);
+
+    // only the first countdown runs out
+    expect(captures).toHaveLength(1);
+    expect(captures[0].action).toBe(ACTIONS.START_COUNTDOWN);
+    expect(captures[0].t - actions[0].t).toBeGreaterThanOrEqual(3000);
+    expect(captures[0].t - actions[0].t).toBeLessThan(3100);
+  });
+
+  it("captures right away without a countdown", async () => {
+    const { captures } = await replayActions(session, { countdownSeconds: 0 });
+    expect(captures.map((c) => c.action)).toEqual([
+      ACTIONS.START_COUNTDOWN,
+      ACTIONS.START_COUNTDOWN,
+    ]);
+  });
+
+  it("respects a longer hold time", async () => {
+    const { actions } = await replayActions(session, { holdMs: 2000 });
+    expect(actions).toEqual([]);
+  });
+});
@@ -0,0 +1,287 @@
+// Capture and tracking tweakables, validated and persisted in localStorage.
+import { DEFAULT_SMOOTHING } from "./smoothing";
+import { EVICTION_POLICIES } from "./galleryStore";
+import { BOOMERANG_FORMATS } from "./boomerang";
+import { DEFAULT_FILTER, FILTERS } from "./filters";
+import { FLASH_MODES } from "./stillCapture";
+import { readJSON, writeJSON } from "./storage";
+
+export const SETTINGS_SCHEMA = [
+  {
+    key: "gestureHoldMs",
+    label: "Gesture hold time",
+    unit: "ms",
+    type: "number",
+    min: 200,
+    max: 3000,
+    step: 100,
+    default: 1000,
+  },
+  {
+    key: "cooldownMs",
+    label: "Cooldown between actions",
+    unit: "ms",
+    type: "number",
+    min: 0,
+    max: 5000,
+    step: 100,
+    default: 1200,
+  },
+  {
+    key: "countdownSeconds",
+    label: "Countdown",
+    unit: "s",
+    type: "number",
+    min: 0,
+    max: 10,
+    step: 1,
+    default: 3,
+  },
+  {
+    key: "burstCount",
+    label: "Burst size",
+    unit: "photos",
+    type: "number",
+    min: 2,
+    max: 20,
+    step: 1,
+    default: 5,
+  },
+  {
+    key: "burstIntervalMs",
+    label: "Burst interval",
+    unit: "ms",
+    type: "number",
+    min: 100,
+    max: 2000,
+    step: 50,
+    default: 250,
+  },
+  {
+    key: "inferenceFps",
+    label: "Max inference rate",
+    unit: "fps",
+    type: "number",
+    min: 5,
+    max: 30,
+    step: 1,
+    default: 15,
+  },
+  {
+    key: "jpegQuality",
+    label: "JPEG quality",
+    type: "number",
+    min: 0.5,
+    max: 1,
+    step: 0.01,
+    default: 0.92,
+  },
+  {
+    key: "boomerangSeconds",
+    label: "Boomerang length",
+    unit: "s",
+    type: "number",
+    min: 1,
+    max: 3,
+    step: 0.5,
+    default: 1.5,
+  },
+  {
+    key: "maxClipSeconds",
+    label: "Max clip length",
+    unit: "s",
+    type: "number",
+    min: 5,
+    max: 300,
+    step: 5,
+    default: 60,
+  },
+  {
+    key: "galleryLimit",
+    label: "Gallery size",
+    unit: "photos",
+    type: "number",
+    min: 1,
+    max: 500,
+    step: 1,
+    default: 50,
+  },
+  {
+    key: "storageQuotaMb",
+    label: "Gallery storage limit",
+    unit: "MB",
+    type: "number",
+    min: 10,
+    max: 2000,
+    step: 10,
+    default: 200,
+  },
+  {
+    key: "evictionPolicy",
+    label: "When the gallery is full",
+    type: "select",
+    options: [
+      { value: EVICTION_POLICIES.OLDEST, label: "Delete oldest photos" },
+      { value: EVICTION_POLICIES.REJECT, label: "Stop capturing" },
+    ],
+    default: EVICTION_POLICIES.OLDEST,
+  },
+  {
+    key: "boomerangFormat",
+    label: "Boomerang format",
+    type: "select",
+    options: [
+      { value: BOOMERANG_FORMATS.GIF, label: "Animated GIF" },
+      { value: BOOMERANG_FORMATS.WEBM, label: "WebM video" },
+    ],
+    default: BOOMERANG_FORMATS.GIF,
+  },
+  {
+    key: "filter",
+    label: "Filter",
+    type: "select",
+    options: FILTERS.map((f) => ({ value: f.id, label: f.label })),
+    default: DEFAULT_FILTER,
+  },
+  {
+    key: "mirror",
+    label: "Mirror preview and photos (front cameras)",
+    type: "boolean",
+    default: true,
+  },
+  {
+    key: "recordOverlay",
+    label: "Include hand overlay in clips",
+    type: "boolean",
+    default: false,
+  },
+  {
+    key: "adaptiveInference",
+    label: "Adapt inference rate to device speed",
+    type: "boolean",
+    default: true,
+  },
+  {
+    key: "adaptiveResolution",
+    label: "Lower detector resolution when slow",
+    type: "boolean",
+    default: false,
+  },
+  {
+    key: "showPerfHud",
+    label: "Show performance HUD",
+    type: "boolean",
+    default: false,
+  },
+  {
+    key: "captureOverlay",
+    label: "Include hand overlay in photos",
+    type: "boolean",
+    default: false,
+  },
+  {
+    key: "fullResolutionPhotos",
+    label: "Full-resolution photos where supported",
+    type: "boolean",
+    default: true,
+  },
+  {
+    key: "photoFlash",
+    label: "Flash (where supported)",
+    type: "select",
+    options: [
+      { value: FLASH_MODES.OFF, label: "Off" },
+      { value: FLASH_MODES.AUTO, label: "Auto" },
+      { value: FLASH_MODES.ON, label: "On" },
+    ],
+    default: FLASH_MODES.OFF,
+  },
+  {
+    key: "redEyeReduction",
+    label: "Red-eye reduction with flash",
+    type: "boolean",
+    default: false,
+  },
+  {
+    key: "smoothingEnabled",
+    label: "Smooth hand tracking",
+    type: "boolean",
+    default: DEFAULT_SMOOTHING.enabled,
+  },
+  {
+    key: "smoothingMinCutoff",
+    label: "Smoothing: jitter cutoff",
+    unit: "Hz",
+    type: "number",
+    min: 0.1,
+    max: 10,
+    step: 0.1,
+    default: DEFAULT_SMOOTHING.minCutoff,
+  },
+  {
+    key: "smoothingBeta",
+    label: "Smoothing: speed response",
+    type: "number",
+    min: 0,
+    max: 0.2,
+    step: 0.001,
+    default: DEFAULT_SMOOTHING.beta,
+  },
+];
+
+export const DEFAULT_SETTINGS = Object.fromEntries(
+  SETTINGS_SCHEMA.map((field) => [field.key, field.default])
+);
+
+function validateField(field, value) {
+  if (field.type === "boolean") {
+    return typeof value === "boolean" ? value : field.default;
+  }
+  if (field.type === "select") {
+    return field.options.some((o) => o.value === value) ? value : field.default;
+  }
+
+  const n = Number(value);
+  if (value === "" || value === null || !Number.isFinite(n)) return field.default;
+  const clamped = Math.min(field.max, Math.max(field.min, n));
+  const steps = Math.round((clamped - field.min) / field.step);
+  // toFixed strips float noise from fractional steps (0.92 instead of 0.9200000001)
+  const decimals = String(field.step).split(".")[1]?.length ?? 0;
+  return Number((field.min + steps * field.step).toFixed(decimals));
+}
+
+export function validateSettings(input) {
+  const out = {};
+  for (const field of SETTINGS_SCHEMA) {
+    out[field.key] = validateField(field, input?.[field.key]);
+  }
+  return out;
+}
+
+export function smoothingFromSettings(settings) {
+  return {
+    ...DEFAULT_SMOOTHING,
+    enabled: settings.smoothingEnabled,
+    minCutoff: settings.smoothingMinCutoff,
+    beta: settings.smoothingBeta,
+  };
+}
+
+export function galleryQuotaFromSettings(settings) {
+  return {
+    maxItems: settings.galleryLimit,
+    maxBytes: settings.storageQuotaMb * 1024 * 1024,
+    policy: settings.evictionPolicy,
+  };
+}
+
+const STORAGE_KEY = "handcam.settings.v1";
+
+export function loadSettings() {
+  const parsed = readJSON(STORAGE_KEY);
+  return parsed ? validateSettings(parsed) : DEFAULT_SETTINGS;
+}
+
+export function saveSettings(settings) {
+  writeJSON(STORAGE_KEY, validateSettings(settings));
+}
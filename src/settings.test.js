@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { EVICTION_POLICIES } from "./galleryStore";
+import {
+  DEFAULT_SETTINGS,
+  galleryQuotaFromSettings,
+  validateSettings,
+} from "./settings";
+
+describe("validateSettings", () => {
+  it("fills missing or unreadable input with defaults", () => {
+    expect(validateSettings(undefined)).toEqual(DEFAULT_SETTINGS);
+    expect(validateSettings({})).toEqual(DEFAULT_SETTINGS);
+    expect(
+      validateSettings({ countdownSeconds: "", burstCount: "many", mirror: "yes" })
+    ).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it("clamps numbers to their range and snaps them to the step", () => {
+    const settings = validateSettings({
+      gestureHoldMs: 50,
+      galleryLimit: 9000,
+      burstIntervalMs: "333",
+      jpegQuality: 0.876,
+    });
+    expect(settings.gestureHoldMs).toBe(200);
+    expect(settings.galleryLimit).toBe(500);
+    expect(settings.burstIntervalMs).toBe(350);
+    expect(settings.jpegQuality).toBe(0.88);
+  });
+
+  it("keeps only known options for selects", () => {
+    expect(
+      validateSettings({ evictionPolicy: EVICTION_POLICIES.REJECT }).evictionPolicy
+    ).toBe(EVICTION_POLICIES.REJECT);
+    expect(validateSettings({ evictionPolicy: "shrug" }).evictionPolicy).toBe(
+      DEFAULT_SETTINGS.evictionPolicy
+    );
+  });
+
+  it("drops keys the schema doesn't know", () => {
+    expect(validateSettings({ bogus: 1 })).not.toHaveProperty("bogus");
+  });
+});
+
+describe("galleryQuotaFromSettings", () => {
+  it("converts the storage limit to bytes", () => {
+    const quota = galleryQuotaFromSettings(
+      validateSettings({
+        galleryLimit: 20,
+        storageQuotaMb: 30,
+        evictionPolicy: EVICTION_POLICIES.REJECT,
+      })
+    );
+    expect(quota).toEqual({
+      maxItems: 20,
+      maxBytes: 30 * 1024 * 1024,
+      policy: EVICTION_POLICIES.REJECT,
+    });
+  });
+});
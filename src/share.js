@@ -0,0 +1,21 @@
+// Web Share with files, where the browser supports it.
+
+export function canShareFiles(files) {
+  if (typeof navigator === "undefined" || !navigator.canShare) return false;
+  try {
+    return navigator.canShare({ files });
+  } catch {
+    return false;
+  }
+}
+
+// Resolves to false when the user dismissed the share sheet.
+export async function shareFiles(files, { title } = {}) {
+  try {
+    await navigator.share({ files, ...(title && { title }) });
+    return true;
+  } catch (e) {
+    if (e?.name === "AbortError") return false;
+    throw e;
+  }
+}
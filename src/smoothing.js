@@ -0,0 +1,163 @@
+// Temporal smoothing for hand keypoints: a One Euro filter per landmark
+// coordinate, plus interpolation so the overlay can be drawn between inference ticks.
+// One Euro filter: https://gery.casiez.net/1euro/
+
+export const DEFAULT_SMOOTHING = {
+  enabled: true,
+  // lower = less jitter when the hand is still (Hz)
+  minCutoff: 1.5,
+  // higher = less lag when the hand moves fast
+  beta: 0.01,
+  // cutoff for the derivative estimate (Hz)
+  dCutoff: 1.0,
+  interpolate: true,
+};
+
+function smoothingFactor(dtSeconds, cutoff) {
+  const r = 2 * Math.PI * cutoff * dtSeconds;
+  return r / (r + 1);
+}
+
+export function createOneEuroFilter({
+  minCutoff = DEFAULT_SMOOTHING.minCutoff,
+  beta = DEFAULT_SMOOTHING.beta,
+  dCutoff = DEFAULT_SMOOTHING.dCutoff,
+} = {}) {
+  let prevValue = null;
+  let prevDerivative = 0;
+  let prevTime = null;
+
+  return {
+    filter(value, timeMs) {
+      if (prevValue === null || prevTime === null || timeMs <= prevTime) {
+        prevValue = value;
+        prevDerivative = 0;
+        prevTime = timeMs;
+        return value;
+      }
+
+      const dt = (timeMs - prevTime) / 1000;
+      const derivative = (value - prevValue) / dt;
+      const aD = smoothingFactor(dt, dCutoff);
+      const smoothedDerivative = aD * derivative + (1 - aD) * prevDerivative;
+
+      const cutoff = minCutoff + beta * Math.abs(smoothedDerivative);
+      const a = smoothingFactor(dt, cutoff);
+      const smoothed = a * value + (1 - a) * prevValue;
+
+      prevValue = smoothed;
+      prevDerivative = smoothedDerivative;
+      prevTime = timeMs;
+      return smoothed;
+    },
+
+    reset() {
+      prevValue = null;
+      prevDerivative = 0;
+      prevTime = null;
+    },
+  };
+}
+
+function createPointFilters(options) {
+  return {
+    x: createOneEuroFilter(options),
+    y: createOneEuroFilter(options),
+    z: createOneEuroFilter(options),
+  };
+}
+
+// Keeps one filter bank per hand key (e.g. "left"/"right" or a track id).
+export function createLandmarkSmoother(options = DEFAULT_SMOOTHING) {
+  const opts = { ...DEFAULT_SMOOTHING, ...options };
+  const hands = new Map();
+
+  return {
+    smooth(key, keypoints, timeMs) {
+      if (!opts.enabled || !keypoints) return keypoints;
+
+      let filters = hands.get(key);
+      if (!filters || filters.length !== keypoints.length) {
+        filters = keypoints.map(() => createPointFilters(opts));
+        hands.set(key, filters);
+      }
+
+      return keypoints.map((p, i) => {
+        const f = filters[i];
+        const out = {
+          ...p,
+          x: f.x.filter(p.x, timeMs),
+          y: f.y.filter(p.y, timeMs),
+        };
+        if (p.z !== undefined) out.z = f.z.filter(p.z, timeMs);
+        return out;
+      });
+    },
+
+    reset(key) {
+      hands.delete(key);
+    },
+
+    // Drop filter state for hands that are no longer visible.
+    retain(activeKeys) {
+      const keep = new Set(activeKeys);
+      for (const key of hands.keys()) {
+        if (!keep.has(key)) hands.delete(key);
+      }
+    },
+  };
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+export function interpolateKeypoints(from, to, t) {
+  if (!from || from.length !== to.length) return to;
+  return to.map((p, i) => {
+    const q = from[i];
+    const out = { ...p, x: lerp(q.x, p.x, t), y: lerp(q.y, p.y, t) };
+    if (p.z !== undefined && q.z !== undefined) out.z = lerp(q.z, p.z, t);
+    return out;
+  });
+}
+
+// Renders one inference interval behind, blending the last two samples so
+// the overlay moves every animation frame instead of jumping per inference.
+export function createKeypointInterpolator() {
+  const samples = new Map();
+
+  return {
+    push(key, keypoints, timeMs) {
+      const prev = samples.get(key);
+      samples.set(key, {
+        from: prev?.to ?? null,
+        fromAt: prev?.toAt ?? timeMs,
+        to: keypoints,
+        toAt: timeMs,
+      });
+    },
+
+    sample(key, timeMs) {
+      const s = samples.get(key);
+      if (!s) return null;
+      if (!s.from) return s.to;
+
+      const span = s.toAt - s.fromAt;
+      if (span <= 0) return s.to;
+      const t = Math.min(1, Math.max(0, (timeMs - s.toAt) / span));
+      return interpolateKeypoints(s.from, s.to, t);
+    },
+
+    clear(key) {
+      samples.delete(key);
+    },
+
+    retain(activeKeys) {
+      const keep = new Set(activeKeys);
+      for (const key of samples.keys()) {
+        if (!keep.has(key)) samples.delete(key);
+      }
+    },
+  };
+}
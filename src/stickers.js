@@ -0,0 +1,160 @@
+// AR stickers: emoji or small images pinned to hand landmarks, following the
+// landmark's position, the hand's scale and the finger/hand direction.
+import { dist } from "./gestures";
+import { palmCenter } from "./handTracker";
+import { readJSON, writeJSON } from "./storage";
+
+export const ANCHORS = {
+  INDEX_TIP: "index_tip",
+  THUMB_TIP: "thumb_tip",
+  MIDDLE_TIP: "middle_tip",
+  RING_TIP: "ring_tip",
+  PINKY_TIP: "pinky_tip",
+  ALL_TIPS: "all_tips",
+  PALM: "palm",
+  WRIST: "wrist",
+};
+
+export const ANCHOR_LABELS = {
+  [ANCHORS.INDEX_TIP]: "Index fingertip",
+  [ANCHORS.THUMB_TIP]: "Thumb tip",
+  [ANCHORS.MIDDLE_TIP]: "Middle fingertip",
+  [ANCHORS.RING_TIP]: "Ring fingertip",
+  [ANCHORS.PINKY_TIP]: "Pinky tip",
+  [ANCHORS.ALL_TIPS]: "All fingertips",
+  [ANCHORS.PALM]: "Palm centre",
+  [ANCHORS.WRIST]: "Wrist",
+};
+
+// [tip, joint below it] so the sticker can follow the finger direction
+const TIPS = {
+  [ANCHORS.THUMB_TIP]: [4, 3],
+  [ANCHORS.INDEX_TIP]: [8, 7],
+  [ANCHORS.MIDDLE_TIP]: [12, 11],
+  [ANCHORS.RING_TIP]: [16, 15],
+  [ANCHORS.PINKY_TIP]: [20, 19],
+};
+
+export const STICKER_EMOJI = [
+  "⭐", "❤️", "🔥", "👑", "🌸", "✨", "😎", "🎈", "🦋", "💎",
+];
+
+export const STICKER_SIZES = [
+  { value: 0.35, label: "Small" },
+  { value: 0.6, label: "Medium" },
+  { value: 1, label: "Large" },
+];
+
+export const DEFAULT_STICKERS = [];
+
+// Canvas angle that turns "up" into the direction from `from` to `to`.
+function uprightAngle(from, to) {
+  return Math.atan2(to.y - from.y, to.x - from.x) + Math.PI / 2;
+}
+
+// One pose per placement: { x, y, handScale, angle }
+export function stickerPoses(keypoints, anchor) {
+  if (!keypoints || keypoints.length < 21) return [];
+  const kp = keypoints;
+  const handScale = Math.max(dist(kp[0], kp[9]), 1);
+
+  const tipPose = (name) => {
+    const [tip, joint] = TIPS[name];
+    return {
+      x: kp[tip].x,
+      y: kp[tip].y,
+      handScale,
+      angle: uprightAngle(kp[joint], kp[tip]),
+    };
+  };
+
+  if (TIPS[anchor]) return [tipPose(anchor)];
+  if (anchor === ANCHORS.ALL_TIPS) return Object.keys(TIPS).map(tipPose);
+
+  const handAngle = uprightAngle(kp[0], kp[9]);
+  if (anchor === ANCHORS.WRIST) {
+    return [{ x: kp[0].x, y: kp[0].y, handScale, angle: handAngle }];
+  }
+  const center = palmCenter(kp);
+  return [{ x: center.x, y: center.y, handScale, angle: handAngle }];
+}
+
+const imageCache = new Map();
+
+function loadImage(src) {
+  if (!imageCache.has(src)) {
+    const img = new Image();
+    img.src = src;
+    imageCache.set(src, img);
+  }
+  return imageCache.get(src);
+}
+
+// Draws in model (source) coordinates. With `mirrored`, the caller's canvas is
+// flipped as a whole, so each sticker is flipped back to stay readable.
+export function drawStickers(ctx, hands, stickers, { mirrored = false } = {}) {
+  if (!stickers?.length) return;
+
+  for (const keypoints of hands) {
+    for (const sticker of stickers) {
+      const img = sticker.image ? loadImage(sticker.image) : null;
+      if (img && !(img.complete && img.naturalWidth)) continue;
+
+      for (const pose of stickerPoses(keypoints, sticker.anchor)) {
+        const size = pose.handScale * sticker.scale;
+        ctx.save();
+        ctx.translate(pose.x, pose.y);
+        ctx.rotate(pose.angle);
+        if (mirrored) ctx.scale(-1, 1);
+        if (img) {
+          const h = size * (img.naturalHeight / img.naturalWidth);
+          ctx.drawImage(img, -size / 2, -h / 2, size, h);
+        } else {
+          ctx.font = `${Math.round(size)}px "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif`;
+          ctx.textAlign = "center";
+          ctx.textBaseline = "middle";
+          ctx.fillText(sticker.emoji, 0, 0);
+        }
+        ctx.restore();
+      }
+    }
+  }
+}
+
+// Custom images are downscaled before they go into localStorage.
+export async function imageFileToSticker(file, maxSide = 256) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+  return canvas.toDataURL("image/png");
+}
+
+const STORAGE_KEY = "handcam.stickers.v1";
+
+const anchorValues = new Set(Object.values(ANCHORS));
+
+function isValidSticker(s) {
+  return (
+    !!s &&
+    anchorValues.has(s.anchor) &&
+    Number.isFinite(s.scale) &&
+    s.scale > 0 &&
+    (typeof s.emoji === "string" ||
+      (typeof s.image === "string" && s.image.startsWith("data:image/")))
+  );
+}
+
+export function loadStickers() {
+  const parsed = readJSON(STORAGE_KEY);
+  if (!Array.isArray(parsed)) return DEFAULT_STICKERS;
+  return parsed.filter(isValidSticker);
+}
+
+// Returns false when storage refused the list (custom images can be large).
+export function saveStickers(stickers) {
+  return writeJSON(STORAGE_KEY, stickers.filter(isValidSticker));
+}
@@ -0,0 +1,78 @@
+// Full-resolution stills through ImageCapture.takePhoto, where the browser
+// supports it. Callers fall back to grabbing the preview frame on null.
+
+export const FLASH_MODES = {
+  OFF: "off",
+  AUTO: "auto",
+  ON: "flash",
+};
+
+export function supportsStillCapture(track) {
+  return (
+    typeof ImageCapture === "function" &&
+    track?.kind === "video" &&
+    track.readyState === "live"
+  );
+}
+
+// one ImageCapture (and its capabilities lookup) per track
+const captures = new WeakMap();
+
+function captureFor(track) {
+  let entry = captures.get(track);
+  if (!entry) {
+    const imageCapture = new ImageCapture(track);
+    entry = {
+      imageCapture,
+      capabilities: imageCapture.getPhotoCapabilities().catch(() => null),
+    };
+    captures.set(track, entry);
+  }
+  return entry;
+}
+
+// Only options the camera reports are requested; takePhoto rejects others.
+function photoSettings(capabilities, { flash, redEyeReduction }) {
+  const settings = {};
+  if (capabilities?.imageWidth?.max && capabilities?.imageHeight?.max) {
+    settings.imageWidth = capabilities.imageWidth.max;
+    settings.imageHeight = capabilities.imageHeight.max;
+  }
+  if (capabilities?.fillLightMode?.includes(flash)) {
+    settings.fillLightMode = flash;
+  }
+  if (redEyeReduction && capabilities?.redEyeReduction === "controllable") {
+    settings.redEyeReduction = true;
+  }
+  return settings;
+}
+
+// Resolves to { bitmap, fillLightMode, redEyeReduction } with the sensor
+// image (unmirrored, like the track's frames), or null when it can't be taken.
+export async function takeStill(track, options = {}) {
+  if (!supportsStillCapture(track)) return null;
+  try {
+    const { imageCapture, capabilities } = captureFor(track);
+    const settings = photoSettings(await capabilities, options);
+    const blob = await imageCapture.takePhoto(settings);
+    return {
+      bitmap: await createImageBitmap(blob),
+      fillLightMode: settings.fillLightMode ?? null,
+      redEyeReduction: !!settings.redEyeReduction,
+    };
+  } catch (e) {
+    console.warn("Full-resolution capture failed, using the preview frame:", e);
+    return null;
+  }
+}
+
+// Centered source rectangle of a width x height image with the given
+// width/height ratio, so a still can be framed like the preview.
+export function cropToAspect(width, height, aspect) {
+  if (width / height > aspect) {
+    const w = Math.round(height * aspect);
+    return { x: Math.round((width - w) / 2), y: 0, width: w, height };
+  }
+  const h = Math.round(width / aspect);
+  return { x: 0, y: Math.round((height - h) / 2), width, height: h };
+}
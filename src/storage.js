@@ -0,0 +1,28 @@
+// JSON values in localStorage, shared by every persisted preference. Storage
+// can be full or disabled (private mode), so reads fall back and writes report
+// failure instead of throwing; callers keep the value in memory either way.
+
+// Parsed value under `key`, or `fallback` when it is missing or unreadable.
+export function readJSON(key, fallback = null) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return (raw === null ? null : JSON.parse(raw)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// Returns false when storage refused the value. null or undefined removes
+// the key.
+export function writeJSON(key, value) {
+  try {
+    if (value == null) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
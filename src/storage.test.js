@@ -0,0 +1,44 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { readJSON, writeJSON } from "./storage";
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+describe("storage", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("round-trips JSON values and removes on null", () => {
+    vi.stubGlobal("window", { localStorage: memoryStorage() });
+    expect(writeJSON("k", { a: 1 })).toBe(true);
+    expect(readJSON("k")).toEqual({ a: 1 });
+    writeJSON("k", null);
+    expect(readJSON("k", "fallback")).toBe("fallback");
+  });
+
+  it("falls back on unreadable values", () => {
+    const localStorage = memoryStorage();
+    localStorage.setItem("k", "{not json");
+    vi.stubGlobal("window", { localStorage });
+    expect(readJSON("k", [])).toEqual([]);
+  });
+
+  it("reports refused writes instead of throwing", () => {
+    const localStorage = memoryStorage();
+    localStorage.setItem = () => {
+      throw new Error("QuotaExceededError");
+    };
+    vi.stubGlobal("window", { localStorage });
+    expect(writeJSON("k", [1])).toBe(false);
+  });
+
+  it("falls back without storage at all", () => {
+    expect(readJSON("k", 3)).toBe(3);
+    expect(writeJSON("k", 3)).toBe(false);
+  });
+});
@@ -0,0 +1,70 @@
+// Horizontal hand swipes, detected from palm-centre motion per hand track.
+// Swipes are matched by name in the binding table like static gestures.
+import { palmCenter } from "./handTracker";
+
+export const SWIPES = {
+  LEFT: "swipe_left",
+  RIGHT: "swipe_right",
+};
+
+export const DEFAULT_SWIPE_OPTIONS = {
+  // fraction of the frame width the palm has to travel...
+  minDistance: 0.22,
+  // ...within this window
+  maxDurationMs: 450,
+  // |dy| / |dx| above this is not a horizontal swipe
+  maxVerticalRatio: 0.6,
+  cooldownMs: 700,
+};
+
+export function createSwipeDetector(options = {}) {
+  const opts = { ...DEFAULT_SWIPE_OPTIONS, ...options };
+  const tracks = new Map();
+
+  return {
+    // Returns a SWIPES value in on-screen direction, or null.
+    update(id, keypoints, now, { frameWidth, mirrored = false }) {
+      if (!keypoints || keypoints.length < 21) return null;
+      const center = palmCenter(keypoints);
+      const point = {
+        x: center.x / frameWidth,
+        y: center.y / frameWidth,
+        t: now,
+      };
+
+      let track = tracks.get(id);
+      if (!track) {
+        track = { samples: [], lastSwipeAt: -Infinity };
+        tracks.set(id, track);
+      }
+      track.samples.push(point);
+      while (now - track.samples[0].t > opts.maxDurationMs) {
+        track.samples.shift();
+      }
+      if (now - track.lastSwipeAt < opts.cooldownMs) return null;
+
+      const first = track.samples[0];
+      const dx = point.x - first.x;
+      const dy = point.y - first.y;
+      if (Math.abs(dx) < opts.minDistance) return null;
+      if (Math.abs(dy) > Math.abs(dx) * opts.maxVerticalRatio) return null;
+
+      track.lastSwipeAt = now;
+      track.samples = [point];
+      // model coordinates are unmirrored; report what the user sees
+      const screenDx = mirrored ? -dx : dx;
+      return screenDx > 0 ? SWIPES.RIGHT : SWIPES.LEFT;
+    },
+
+    retain(ids) {
+      const keep = new Set(ids);
+      for (const id of tracks.keys()) {
+        if (!keep.has(id)) tracks.delete(id);
+      }
+    },
+
+    reset() {
+      tracks.clear();
+    },
+  };
+}
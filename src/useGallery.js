@@ -0,0 +1,190 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  EVICTION_POLICIES,
+  GalleryQuotaError,
+  openGalleryStore,
+} from "./galleryStore";
+
+// Gallery state backed by galleryStore. Items carry a `thumbUrl` object URL;
+// full-size blobs are only read on demand via getBlob().
+export default function useGallery(quota) {
+  const storeRef = useRef(null);
+  // resolves to the store (or null) once the saved items are loaded
+  const storeReadyRef = useRef(null);
+  const thumbUrlsRef = useRef(new Map());
+  const quotaRef = useRef(quota);
+  const [photos, setPhotos] = useState([]);
+  const [ready, setReady] = useState(false);
+  const [persistent, setPersistent] = useState(true);
+  const [error, setError] = useState("");
+  // ids beyond a lowered quota, awaiting the user's go-ahead to delete them
+  const [overQuotaIds, setOverQuotaIds] = useState([]);
+
+  const withThumbUrl = useCallback((item) => {
+    const urls = thumbUrlsRef.current;
+    if (!urls.has(item.id)) {
+      urls.set(item.id, URL.createObjectURL(item.thumbnail));
+    }
+    return { ...item, thumbUrl: urls.get(item.id) };
+  }, []);
+
+  const forget = useCallback((ids) => {
+    const urls = thumbUrlsRef.current;
+    for (const id of ids) {
+      const url = urls.get(id);
+      if (url) URL.revokeObjectURL(url);
+      urls.delete(id);
+    }
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    const urls = thumbUrlsRef.current;
+
+    storeReadyRef.current = (async () => {
+      try {
+        const store = await openGalleryStore();
+        if (cancelled) return null;
+        storeRef.current = store;
+        setPersistent(store.persistent);
+
+        const items = await store.list();
+        if (cancelled) return null;
+        setPhotos(items.map(withThumbUrl));
+        return store;
+      } catch (e) {
+        console.error("Gallery load failed:", e);
+        setError("Could not load saved photos.");
+        return null;
+      } finally {
+        if (!cancelled) setReady(true);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      for (const url of urls.values()) URL.revokeObjectURL(url);
+      urls.clear();
+    };
+  }, [withThumbUrl]);
+
+  // A lowered quota never deletes on its own: the oldest items beyond it are
+  // offered for deletion (see trimToQuota), and "Stop capturing" keeps them.
+  useEffect(() => {
+    quotaRef.current = quota;
+    const store = storeRef.current;
+    if (!store) return;
+
+    let cancelled = false;
+    const check =
+      quota.policy === EVICTION_POLICIES.REJECT
+        ? Promise.resolve([])
+        : store.overQuota(quota);
+    check
+      .then((ids) => {
+        if (!cancelled) setOverQuotaIds(ids);
+      })
+      .catch((e) => console.error("Gallery quota check failed:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [quota]);
+
+  const addPhoto = useCallback(
+    async (blob, extra) => {
+      // captures taken while the gallery is still loading wait for it
+      const store = await storeReadyRef.current;
+      if (!store) {
+        setError("Could not save photo: the gallery is unavailable.");
+        return null;
+      }
+
+      try {
+        const { item, evicted } = await store.add(blob, extra, quotaRef.current);
+        forget(evicted);
+        setError("");
+        setPhotos((prev) => [
+          withThumbUrl(item),
+          ...prev.filter((p) => !evicted.includes(p.id)),
+        ]);
+        return item;
+      } catch (e) {
+        console.error("Saving photo failed:", e);
+        setError(
+          e instanceof GalleryQuotaError
+            ? e.message
+            : "Could not save photo (storage may be full)."
+        );
+        return null;
+      }
+    },
+    [forget, withThumbUrl]
+  );
+
+  // Overwrites a photo in place; resolves to the updated item or null.
+  const replacePhoto = useCallback(
+    async (id, blob, extra) => {
+      const store = storeRef.current;
+      if (!store) return null;
+
+      try {
+        const item = await store.replace(id, blob, extra);
+        if (!item) return null;
+        forget([id]);
+        setError("");
+        setPhotos((prev) =>
+          prev.map((p) => (p.id === id ? withThumbUrl(item) : p))
+        );
+        return item;
+      } catch (e) {
+        console.error("Replacing photo failed:", e);
+        setError("Could not save the edited photo.");
+        return null;
+      }
+    },
+    [forget, withThumbUrl]
+  );
+
+  const removePhotos = useCallback(
+    async (ids) => {
+      const list = [].concat(ids);
+      try {
+        await storeRef.current?.remove(list);
+      } catch (e) {
+        console.error("Deleting photos failed:", e);
+        setError("Could not delete photo.");
+        return false;
+      }
+      forget(list);
+      setPhotos((prev) => prev.filter((p) => !list.includes(p.id)));
+      return true;
+    },
+    [forget]
+  );
+
+  const trimToQuota = useCallback(async () => {
+    const ids = overQuotaIds;
+    setOverQuotaIds([]);
+    return ids.length ? removePhotos(ids) : true;
+  }, [overQuotaIds, removePhotos]);
+
+  const getBlob = useCallback(
+    (id) => storeRef.current?.getBlob(id) ?? Promise.resolve(null),
+    []
+  );
+
+  return {
+    photos,
+    ready,
+    persistent,
+    error,
+    clearError: () => setError(""),
+    overQuotaCount: overQuotaIds.length,
+    trimToQuota,
+    keepOverQuota: () => setOverQuotaIds([]),
+    addPhoto,
+    replacePhoto,
+    removePhotos,
+    getBlob,
+  };
+}
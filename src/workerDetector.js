@@ -0,0 +1,138 @@
+// Runs hand detection in a dedicated worker (detectionWorker.js) so the main
+// thread only draws. The worker detector has the same shape as the ones from
+// createHandDetector; MediaPipe needs the DOM and always runs in-thread.
+import {
+  DEFAULT_DETECTOR_CONFIG,
+  RUNTIMES,
+  createHandDetectorWithFallback,
+} from "./detectors";
+
+export function canRunInWorker(runtime) {
+  if (typeof Worker === "undefined" || typeof createImageBitmap !== "function") {
+    return false;
+  }
+  if (runtime === RUNTIMES.MEDIAPIPE) return false;
+  // WebGL in a worker needs an OffscreenCanvas context
+  if (runtime === RUNTIMES.TFJS_WEBGL) return typeof OffscreenCanvas !== "undefined";
+  return true;
+}
+
+// VideoFrames wrap the decoder's buffer without a copy; bitmaps are the
+// fallback where WebCodecs is missing or the source isn't ready for it.
+async function grabFrame(input) {
+  if (typeof VideoFrame === "function") {
+    try {
+      return new VideoFrame(input, {
+        timestamp: Math.round(performance.now() * 1000),
+      });
+    } catch {
+      // not a usable VideoFrame source right now
+    }
+  }
+  return createImageBitmap(input);
+}
+
+// Rejects when the worker can't start or can't load the requested runtime.
+export function createWorkerHandDetector(config = {}) {
+  const cfg = { ...DEFAULT_DETECTOR_CONFIG, ...config };
+  const worker = new Worker(new URL("./detectionWorker.js", import.meta.url), {
+    type: "module",
+  });
+  // id -> { resolve, reject }
+  const pending = new Map();
+  let nextId = 1;
+  let disposed = false;
+
+  function request(message, transfer = []) {
+    if (disposed) return Promise.reject(new Error("Detector was disposed."));
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      worker.postMessage({ ...message, id }, transfer);
+    });
+  }
+
+  function failAll(error) {
+    for (const { reject } of pending.values()) reject(error);
+    pending.clear();
+  }
+
+  worker.onmessage = ({ data }) => {
+    const entry = pending.get(data.id);
+    if (!entry) return;
+    pending.delete(data.id);
+    if (data.type === "error") {
+      entry.reject(new Error(data.message));
+    } else {
+      entry.resolve(data);
+    }
+  };
+  worker.onerror = (e) => {
+    e.preventDefault?.();
+    failAll(new Error(e.message || "Detection worker failed to load."));
+  };
+
+  function dispose() {
+    if (disposed) return;
+    worker.postMessage({ type: "dispose" });
+    disposed = true;
+    failAll(new Error("Detector was disposed."));
+    worker.terminate();
+  }
+
+  const { allowRemoteModels, runtime, modelType, maxHands } = cfg;
+  return request({
+    type: "init",
+    config: { allowRemoteModels, runtime, modelType, maxHands },
+  }).then(
+    (ready) => ({
+      runtime: ready.runtime,
+      modelType: ready.modelType,
+      maxHands: ready.maxHands,
+      backend: ready.backend,
+      inWorker: true,
+      async estimateHands(input, options) {
+        const frame = await grabFrame(input);
+        try {
+          const { predictions } = await request(
+            { type: "estimate", frame, options },
+            [frame]
+          );
+          return predictions;
+        } catch (e) {
+          // never transferred when disposed in the meantime; no-op otherwise
+          frame.close();
+          throw e;
+        }
+      },
+      reset: () => {
+        if (!disposed) worker.postMessage({ type: "reset" });
+      },
+      dispose,
+    }),
+    (e) => {
+      dispose();
+      throw e;
+    }
+  );
+}
+
+// Prefers the worker when config.useWorker is set and the runtime can live
+// there; otherwise (or when the worker fails) detects on the main thread with
+// the usual runtime fallbacks. onWorkerFallback fires when the worker was
+// tried and failed.
+export async function createPreferredHandDetector(
+  config = {},
+  { onFallback, onWorkerFallback } = {}
+) {
+  const cfg = { ...DEFAULT_DETECTOR_CONFIG, ...config };
+  if (cfg.useWorker && canRunInWorker(cfg.runtime)) {
+    try {
+      return await createWorkerHandDetector(cfg);
+    } catch (e) {
+      console.warn("Hand detection worker failed, detecting in-thread:", e);
+      onWorkerFallback?.(e);
+    }
+  }
+  return createHandDetectorWithFallback(cfg, { onFallback });
+}
@@ -1,7 +1,49 @@
+import { createReadStream, readdirSync, readFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const mediapipeHandsDir = fileURLToPath(
+  new URL('./node_modules/@mediapipe/hands/', import.meta.url)
+)
+const mediapipeHandsFiles = readdirSync(mediapipeHandsDir).filter((f) =>
+  /\.(js|wasm|data|binarypb|tflite)$/.test(f)
+)
+
+// Serve the MediaPipe Hands runtime files from our own origin instead of a CDN.
+function selfHostedMediapipeHands() {
+  const prefix = '/mediapipe/hands/'
+  return {
+    name: 'self-hosted-mediapipe-hands',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const path = req.url?.split('?')[0] ?? ''
+        const base = server.config.base + prefix.slice(1)
+        if (!path.startsWith(base)) return next()
+
+        const file = path.slice(base.length)
+        if (!mediapipeHandsFiles.includes(file)) return next()
+
+        if (file.endsWith('.wasm')) res.setHeader('Content-Type', 'application/wasm')
+        if (file.endsWith('.js')) res.setHeader('Content-Type', 'text/javascript')
+        createReadStream(mediapipeHandsDir + file).pipe(res)
+      })
+    },
+    generateBundle() {
+      for (const file of mediapipeHandsFiles) {
+        this.emitFile({
+          type: 'asset',
+          fileName: prefix.slice(1) + file,
+          source: readFileSync(mediapipeHandsDir + file),
+        })
+      }
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), selfHostedMediapipeHands()],
+  // the detection worker lazy-loads tfjs backends, which needs ES module output
+  worker: { format: 'es' },
 })